@@ -0,0 +1,97 @@
+// caesar plugin: one shift over the letters, ROT13, and ROT47 over printable ASCII
+// the crack ranks every shift right away, it is too quick to need a worker
+const {
+  ROT_MODES,
+  caesarDecrypt,
+  shiftCount,
+} = require("../utils/caesarLogic.js");
+const { cipherParamError } = require("./errors");
+const { text, language, fitness, integer } = require("./schemas");
+
+// a ROT mode fixes the shift, otherwise it is a plain caesar over the letters
+const resolveShift = ({ shift, mode }) => {
+  if (mode !== undefined && !ROT_MODES[mode]) {
+    throw cipherParamError(
+      `Unknown mode, expected one of: ${Object.keys(ROT_MODES).join(", ")}`,
+      "mode"
+    );
+  }
+
+  const { shift: modeShift, charset } = ROT_MODES[mode] || {
+    charset: "letters",
+  };
+  const count = shiftCount({ charset });
+  const value = mode ? modeShift : Number(shift);
+
+  if (!Number.isInteger(value) || value < 0 || value >= count) {
+    throw cipherParamError(
+      `shift must be a whole number from 0 to ${count - 1}, or give a mode`,
+      "shift"
+    );
+  }
+  return { shift: value, charset, count };
+};
+
+const encrypt = (body) => {
+  if (!body.plaintext)
+    throw cipherParamError("Plaintext is required", "plaintext");
+  const { shift, charset, count } = resolveShift(body);
+
+  return {
+    // shifting forward is undoing the opposite shift
+    ciphertext: caesarDecrypt(body.plaintext, (count - shift) % count, {
+      charset,
+    }),
+    shift,
+    mode: body.mode || "caesar",
+  };
+};
+
+const decrypt = (body) => {
+  if (!body.ciphertext)
+    throw cipherParamError("Ciphertext is required", "ciphertext");
+  const { shift, charset } = resolveShift(body);
+
+  return {
+    decryptedText: caesarDecrypt(body.ciphertext, shift, { charset }),
+    shift,
+    mode: body.mode || "caesar",
+  };
+};
+
+const shiftParams = {
+  shift: { type: "integer", minimum: 0, maximum: 93 },
+  mode: { type: "string", enum: Object.keys(ROT_MODES) },
+};
+
+module.exports = {
+  name: "caesar",
+  title: "Caesar shift, ROT13 and ROT47",
+  // bodies of the POST routes, by path
+  params: {
+    encrypt: {
+      type: "object",
+      required: ["plaintext"],
+      properties: { plaintext: text(), ...shiftParams },
+    },
+    decrypt: {
+      type: "object",
+      required: ["ciphertext"],
+      properties: { ciphertext: text(), ...shiftParams },
+    },
+    crack: {
+      type: "object",
+      required: ["ciphertext"],
+      properties: {
+        ciphertext: text(),
+        mode: { type: "string", enum: ["caesar", "rot47"], default: "caesar" },
+        language,
+        fitness,
+        previewLength: integer(0, 1000, 100, "Characters of each preview"),
+      },
+    },
+  },
+  encrypt,
+  decrypt,
+  routes: () => require("../routes/caesar"),
+};
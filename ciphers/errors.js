@@ -0,0 +1,15 @@
+// errors plugins throw, the generated routes turn them into responses
+
+// a bad request to a plugin operation (answered with 400), field names the parameter
+// and code is the error code of the envelope (see utils/validation.js)
+const cipherParamError = (message, field = null, code = "invalid_param") => {
+  const error = new Error(message);
+  error.name = "CipherParamError";
+  error.field = field;
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  cipherParamError,
+};
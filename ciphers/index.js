@@ -0,0 +1,47 @@
+// cipher registry: every cipher the server offers is a plugin module
+// a plugin declares:
+//   name, title             - route prefix (/api/:name) and display name
+//   params                  - JSON schema of the body of each POST route by path (encrypt,
+//                             decrypt, crack and the plugin's own), requests are checked
+//                             against them (utils/validation.js) and /api/docs lists them
+//   encrypt(body), decrypt(body)
+//                           - build the response, throw cipherParamError for a bad request
+//   crack(task, context)    - optional, runs in a worker thread with context.reportProgress
+//   routes()                - optional, a router with the cipher's own endpoints, they come
+//                             before the generated ones so they can replace them
+// plugins are loaded in the server and in every worker, so they must not start anything on load
+
+const { cipherParamError } = require("./errors");
+
+const plugins = new Map();
+
+const registerCipher = (plugin) => {
+  if (!/^[a-z0-9-]+$/.test(plugin.name)) {
+    throw new Error(`Invalid cipher name: ${plugin.name}`);
+  }
+  if (plugins.has(plugin.name)) {
+    throw new Error(`Cipher ${plugin.name} is already registered`);
+  }
+  if (
+    typeof plugin.encrypt !== "function" ||
+    typeof plugin.decrypt !== "function"
+  ) {
+    throw new Error(`Cipher ${plugin.name} needs encrypt and decrypt`);
+  }
+  plugins.set(plugin.name, plugin);
+};
+
+const getCipherPlugin = (name) => plugins.get(name) || null;
+
+const listCipherPlugins = () => [...plugins.values()];
+
+// built in ciphers
+registerCipher(require("./vigenere"));
+registerCipher(require("./caesar"));
+
+module.exports = {
+  cipherParamError,
+  registerCipher,
+  getCipherPlugin,
+  listCipherPlugins,
+};
@@ -0,0 +1,56 @@
+// schema pieces shared by the parameters of the cipher plugins
+const { LANGUAGES } = require("../utils/languages.js");
+const { FITNESS_FUNCTIONS } = require("../utils/ngramScoring.js");
+const { PRIORITIES } = require("../utils/taskQueue.js");
+
+// longest text one request may hold (the JSON body itself is limited to 1mb)
+const MAX_TEXT_LENGTH = 100000;
+
+const text = (description) => ({
+  type: "string",
+  minLength: 1,
+  maxLength: MAX_TEXT_LENGTH,
+  description,
+});
+
+const language = {
+  type: "string",
+  enum: Object.keys(LANGUAGES),
+  default: "english",
+};
+
+const fitness = {
+  type: "string",
+  enum: Object.keys(FITNESS_FUNCTIONS),
+  description: "Scoring of candidate decryptions, defaults to the best table",
+};
+
+const priority = {
+  type: "string",
+  enum: PRIORITIES,
+  description: "Queue priority of the worker task, high needs an API key",
+};
+
+const runAsync = {
+  type: "boolean",
+  default: false,
+  description: "Answer 202 with a job id right away instead of the result",
+};
+
+const integer = (minimum, maximum, defaultValue, description) => ({
+  type: "integer",
+  minimum,
+  maximum,
+  default: defaultValue,
+  description,
+});
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  text,
+  language,
+  fitness,
+  priority,
+  runAsync,
+  integer,
+};
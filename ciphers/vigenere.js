@@ -0,0 +1,470 @@
+// vigenere plugin: the periodic key ciphers (vigenere, beaufort, variant beaufort,
+// autokey, running key) over any tableau, cracked by the methods in vigenereCrack.js
+const {
+  decryptWithKey,
+  encryptWithKey,
+  isValidKey,
+  countRecognizedWords,
+  getCipherOptionsError,
+  VARIANTS,
+} = require("../utils/vigenereLogic.js");
+const { LANGUAGES, isValidLanguage } = require("../utils/languages.js");
+const {
+  resolveAlphabet,
+  describeAlphabet,
+  ALPHABET_TYPES,
+} = require("../utils/alphabet.js");
+const {
+  getDictionary,
+  MAX_WORDLIST_SIZE,
+  MAX_WORD_LENGTH,
+} = require("../utils/datasets.js");
+const {
+  MUTATION_NAMES,
+  DEFAULT_MUTATIONS,
+  DEFAULT_PAIR_WORDS,
+} = require("../utils/keyMutations.js");
+const { MAX_CRIBS, MAX_CRIB_LENGTH } = require("../utils/cribAttack.js");
+const { processTask } = require("../utils/vigenereCrack.js");
+const { cipherParamError } = require("./errors");
+const {
+  MAX_TEXT_LENGTH,
+  text,
+  language,
+  fitness,
+  priority,
+  runAsync,
+  integer,
+} = require("./schemas");
+
+/**
+ *************** parameter schemas
+ */
+
+const keyword = {
+  type: "string",
+  pattern: "^[A-Za-z]+$",
+  "x-message": "Alphabet keywords must contain only letters",
+};
+
+const alphabetLetters = { type: "string", minLength: 2, maxLength: 100 };
+
+const alphabet = {
+  description:
+    "Alphabet type name, or an object with type and keyword / custom alphabets",
+  oneOf: [
+    { type: "string", enum: ALPHABET_TYPES },
+    {
+      type: "object",
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: ALPHABET_TYPES },
+        keyword,
+        plaintextKeyword: keyword,
+        ciphertextKeyword: keyword,
+        plaintextAlphabet: alphabetLetters,
+        ciphertextAlphabet: alphabetLetters,
+        base: {
+          ...alphabetLetters,
+          description: "Letters the alphabets are built from, A-Z by default",
+        },
+      },
+    },
+  ],
+};
+
+// body properties shared by every operation
+const cipherOptions = {
+  variant: { type: "string", enum: Object.keys(VARIANTS), default: "vigenere" },
+  alphabet,
+};
+
+// a periodic key is letters (of any language), or digits for gronsfeld
+const periodicKey = {
+  type: "string",
+  minLength: 1,
+  maxLength: 1000,
+  pattern: "^(\\p{L}+|[0-9]+)$",
+  "x-message": "key must contain only letters (digits for gronsfeld)",
+  description: "Letters of the alphabet (digits for gronsfeld)",
+};
+
+// a running key is a passage of text, only its letters are used
+const keyByVariant = {
+  if: {
+    type: "object",
+    required: ["variant"],
+    properties: { variant: { const: "running-key" } },
+  },
+  then: {
+    properties: {
+      key: {
+        ...text("Passage of text, only its letters are used"),
+        pattern: "\\p{L}",
+        "x-message": "key must contain letters",
+      },
+    },
+  },
+  else: { properties: { key: periodicKey } },
+};
+
+const keyLength = (defaultValue) =>
+  integer(1, 30, defaultValue, "Longest key length tried");
+
+const analysisKeyLength = integer(2, 50, 20, "Longest key length considered");
+
+// bounds of the annealing settings, anything left out uses the solver defaults
+const annealSettings = {
+  temperature: { type: "number", minimum: 0.1, maximum: 1000 },
+  restarts: integer(1, 50),
+  timeBudget: integer(
+    100,
+    60000,
+    undefined,
+    "Milliseconds of annealing for the whole crack, shared by the key lengths tried"
+  ),
+  iterations: integer(100, 100000),
+};
+
+const crackOptions = {
+  maxKeyLength: keyLength(10),
+  targetRecognition: {
+    type: "number",
+    minimum: 0,
+    maximum: 100,
+    default: 90,
+    description: "Percentage of recognized words that ends the search",
+  },
+  maxIterations: integer(1, 1000, 35, "Refinement rounds per key"),
+  useBruteForce: { type: "boolean", default: false },
+  method: {
+    type: "string",
+    enum: ["cryptanalysis", "brute-force", "anneal", "dictionary", "refine"],
+    default: "cryptanalysis",
+  },
+  seedKey: {
+    ...periodicKey,
+    "x-message": "seedKey must contain only letters (digits for gronsfeld)",
+    description:
+      "refine method: the key the search continues from, anneal method: the key the first restart starts from",
+  },
+  ...cipherOptions,
+  keywordCandidates: {
+    type: "array",
+    maxItems: 10000,
+    items: { type: "string", maxLength: 100 },
+  },
+  language: {
+    ...language,
+    enum: language.enum.concat("auto"),
+    description: '"auto" cracks with every language and keeps the best',
+  },
+  extendedAlphabet: { type: "boolean", default: false },
+  fitness,
+  ...annealSettings,
+  wordlist: {
+    type: "string",
+    description: "Name of a wordlist uploaded with the same API key",
+  },
+  mutations: {
+    type: "array",
+    items: { type: "string", enum: MUTATION_NAMES },
+    default: DEFAULT_MUTATIONS,
+  },
+  pairWords: integer(1, 5000, DEFAULT_PAIR_WORDS),
+  priority,
+  force: {
+    type: "boolean",
+    default: false,
+    description: "Crack even when the text doesn't look periodic",
+  },
+  cache: {
+    type: "boolean",
+    default: true,
+    description:
+      "false cracks again instead of answering from the result cache",
+  },
+  async: runAsync,
+};
+
+// most messages a single batch may hold
+const MAX_BATCH_SIZE = 50;
+
+const crib = { type: "string", minLength: 1, maxLength: MAX_CRIB_LENGTH };
+
+// resolve the tableau of a request and check the key against it
+const checkKey = (body) => {
+  const { key: value, variant = "vigenere", alphabet } = body;
+
+  if (!value) throw cipherParamError("Key is required", "key");
+
+  const optionsError = getCipherOptionsError(variant, alphabet);
+  if (optionsError) {
+    throw cipherParamError(
+      optionsError.message,
+      optionsError.field,
+      "invalid_value"
+    );
+  }
+
+  const tableau = resolveAlphabet(alphabet);
+  if (!isValidKey(value, { variant, alphabet: tableau })) {
+    throw cipherParamError(
+      tableau.numeric
+        ? "Key must contain only digits"
+        : "Key must contain only letters of the alphabet",
+      "key"
+    );
+  }
+  return tableau;
+};
+
+// encrypt text with a known key
+const encrypt = (body) => {
+  const { plaintext, key: value, variant = "vigenere" } = body;
+
+  if (!plaintext) throw cipherParamError("Plaintext is required", "plaintext");
+  const tableau = checkKey(body);
+
+  // encrypt the text
+  const ciphertext = encryptWithKey(plaintext, value, {
+    variant,
+    alphabet: tableau,
+  });
+
+  return {
+    ciphertext,
+    key: value,
+    variant,
+    alphabet: describeAlphabet(tableau),
+    keyLength: value.length,
+    letterCount: Array.from(plaintext.toUpperCase()).filter((char) =>
+      tableau.plain.has(char)
+    ).length,
+    length: ciphertext.length,
+  };
+};
+
+// decrypt text with a known key
+const decrypt = (body) => {
+  const {
+    ciphertext,
+    key: value,
+    variant = "vigenere",
+    language = "english",
+  } = body;
+
+  if (!ciphertext)
+    throw cipherParamError("Ciphertext is required", "ciphertext");
+  const tableau = checkKey(body);
+
+  if (!isValidLanguage(language)) {
+    throw cipherParamError(
+      `Unknown language, expected one of: ${Object.keys(LANGUAGES).join(", ")}`,
+      "language"
+    );
+  }
+
+  // decrypt the text
+  const decryptedText = decryptWithKey(ciphertext, value, {
+    variant,
+    alphabet: tableau,
+  });
+
+  // calculate word stats
+  const wordStats = countRecognizedWords(
+    decryptedText,
+    getDictionary(language)
+  );
+
+  return {
+    decryptedText,
+    wordStats,
+    key: value,
+    variant,
+    alphabet: describeAlphabet(tableau),
+    language,
+  };
+};
+
+module.exports = {
+  name: "vigenere",
+  title: "Vigenère and other periodic key ciphers",
+  // bodies of the POST routes, by path
+  params: {
+    encrypt: {
+      type: "object",
+      required: ["plaintext", "key"],
+      properties: { plaintext: text(), ...cipherOptions },
+      ...keyByVariant,
+    },
+    decrypt: {
+      type: "object",
+      required: ["ciphertext", "key"],
+      properties: { ciphertext: text(), ...cipherOptions, language },
+      ...keyByVariant,
+    },
+    crack: {
+      type: "object",
+      required: ["ciphertext"],
+      properties: {
+        ciphertext: text(),
+        ...crackOptions,
+        sessionId: {
+          type: "string",
+          pattern: "^[a-f0-9]{16}$",
+          "x-message": "sessionId must be the id of a saved session",
+          description: "Record the crack in this session instead of a new one",
+        },
+      },
+      if: {
+        type: "object",
+        required: ["method"],
+        properties: { method: { const: "refine" } },
+      },
+      then: { required: ["seedKey"] },
+    },
+    "crack/batch": {
+      type: "object",
+      required: ["ciphertexts"],
+      properties: {
+        ciphertexts: {
+          type: "array",
+          minItems: 1,
+          maxItems: MAX_BATCH_SIZE,
+          items: { type: "string", maxLength: MAX_TEXT_LENGTH },
+        },
+        sharedKey: {
+          type: "boolean",
+          default: false,
+          description: "Crack every message with one key",
+        },
+        ...crackOptions,
+      },
+    },
+    analyze: {
+      type: "object",
+      required: ["ciphertext"],
+      properties: {
+        ciphertext: text(),
+        maxKeyLength: analysisKeyLength,
+        language,
+        alphabet,
+        extendedAlphabet: { type: "boolean", default: false },
+        limit: integer(1, 100, 25, "Entries of each n-gram table"),
+        priority,
+        async: runAsync,
+      },
+    },
+    "analyze/keylength": {
+      type: "object",
+      required: ["ciphertext"],
+      properties: {
+        ciphertext: text(),
+        maxKeyLength: analysisKeyLength,
+        language,
+        alphabet,
+        extendedAlphabet: { type: "boolean", default: false },
+        priority,
+        async: runAsync,
+      },
+    },
+    identify: {
+      type: "object",
+      required: ["ciphertext"],
+      properties: {
+        ciphertext: text(),
+        language,
+        maxKeyLength: analysisKeyLength,
+        priority,
+        async: runAsync,
+      },
+    },
+    crib: {
+      type: "object",
+      required: ["ciphertext", "cribs"],
+      properties: {
+        ciphertext: text(),
+        cribs: {
+          description: "Known words, or { text, position } at a letter offset",
+          oneOf: [
+            crib,
+            {
+              type: "array",
+              minItems: 1,
+              maxItems: MAX_CRIBS,
+              items: {
+                oneOf: [
+                  crib,
+                  {
+                    type: "object",
+                    required: ["text"],
+                    properties: {
+                      text: crib,
+                      position: { type: "integer", minimum: 0 },
+                    },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+        maxKeyLength: keyLength(20),
+        limit: integer(1, 50, 10, "Key candidates returned"),
+        ...cipherOptions,
+        language,
+        fitness,
+        priority,
+        async: runAsync,
+      },
+    },
+    columns: {
+      type: "object",
+      required: ["ciphertext", "key"],
+      properties: {
+        ciphertext: text(),
+        key: {
+          ...periodicKey,
+          maxLength: 30,
+          description: "The periodic key whose letters are tweaked",
+        },
+        column: integer(0, 29, undefined, "Only this key position (from 0)"),
+        limit: integer(1, 26, 5, "Shifts listed per key position"),
+        ...cipherOptions,
+        language,
+        fitness,
+        priority,
+        async: runAsync,
+      },
+    },
+    wordlists: {
+      type: "object",
+      required: ["name", "words"],
+      properties: {
+        name: {
+          type: "string",
+          pattern: "^[A-Za-z0-9_-]{1,40}$",
+          "x-message":
+            "name must be 1 to 40 letters, digits, dashes or underscores",
+        },
+        words: {
+          description: "Words, or text with one word per line",
+          oneOf: [
+            { type: "string", minLength: 1 },
+            {
+              type: "array",
+              minItems: 1,
+              maxItems: MAX_WORDLIST_SIZE,
+              items: { type: "string", maxLength: MAX_WORD_LENGTH },
+            },
+          ],
+        },
+      },
+    },
+  },
+  encrypt,
+  decrypt,
+  crack: processTask,
+  // the crack, its jobs and the analysis tools (loaded only where routes are built)
+  routes: () => require("../routes/vigenere"),
+};
@@ -0,0 +1,43 @@
+// controller logic for the admin endpoints: API keys and their usage
+const { createKey, revokeKey, listUsage } = require("../utils/apiKeys.js");
+const { requestError, sendRequestError } = require("../utils/validation.js");
+
+/**
+ ********************* usage of every API key
+ */
+exports.listUsage = (req, res) => {
+  try {
+    return res.json({ keys: listUsage() });
+  } catch (error) {
+    console.error("Usage listing error:", error);
+    return res.status(500).json({ error: "Error while listing usage" });
+  }
+};
+
+/**
+ ********************* issue a new API key
+ */
+exports.createKey = (req, res) => {
+  try {
+    const { name, tier } = req.body;
+    const { key, record } = createKey({ name, tier });
+    const { hash, ...details } = record;
+
+    // the key is only ever shown in this response
+    return res.status(201).json({ key, ...details });
+  } catch (error) {
+    console.error("API key creation error:", error);
+    return res.status(500).json({ error: "Error while creating the API key" });
+  }
+};
+
+exports.revokeKey = (req, res) => {
+  if (!revokeKey(req.params.id)) {
+    return sendRequestError(
+      res,
+      requestError("not_found", "id", "API key not found"),
+      404
+    );
+  }
+  return res.json({ id: req.params.id, revoked: true });
+};
@@ -0,0 +1,58 @@
+// controller logic for Caesar / ROT-N API endpoints
+const { caesarDecrypt, rankShifts } = require("../utils/caesarLogic.js");
+const { hasNgramTable, defaultFitness } = require("../utils/ngramScoring.js");
+const { getDictionary } = require("../utils/datasets.js");
+const { requestError, sendRequestError } = require("../utils/validation.js");
+
+// "caesar" ranks the letter shifts, "rot47" the shifts of printable ASCII
+// (the body is checked against the caesar plugin's crack schema first)
+const CRACK_MODES = { caesar: "letters", rot47: "ascii" };
+
+/**
+ ****************************  rank every shift of a caesar / ROT-N text
+ */
+exports.crackCaesar = async (req, res) => {
+  try {
+    const {
+      ciphertext,
+      mode = "caesar",
+      language = "english",
+      fitness,
+      previewLength = 100,
+    } = req.body;
+
+    if (fitness !== undefined && !hasNgramTable(fitness, language)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "unsupported",
+          "fitness",
+          `No ${fitness} table available for ${language}`
+        )
+      );
+    }
+
+    const options = {
+      charset: CRACK_MODES[mode],
+      language,
+      fitness: fitness || defaultFitness(language),
+      dictionary: getDictionary(language),
+      previewLength,
+    };
+    const shifts = rankShifts(ciphertext, options);
+    const [best] = shifts;
+
+    return res.json({
+      shifts,
+      shift: best.shift,
+      key: best.key,
+      fullDecryption: caesarDecrypt(ciphertext, best.shift, options),
+      mode,
+      language,
+      fitness: options.fitness,
+    });
+  } catch (error) {
+    console.error("Caesar crack error:", error);
+    return res.status(500).json({ error: "Error during caesar cracking" });
+  }
+};
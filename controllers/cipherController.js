@@ -0,0 +1,210 @@
+// controller logic generated for every cipher plugin: encrypt, decrypt, a crack on
+// the worker pool for plugins that have one, and the crack jobs they all share
+const { listCipherPlugins } = require("../ciphers");
+const { PRIORITIES } = require("../utils/taskQueue.js");
+const {
+  workerPool,
+  resultCache,
+  jobs,
+  getClientId,
+  sendBusy,
+  respondWithJob,
+  sendCrackError,
+} = require("../utils/crackJobs.js");
+const { requestError, sendRequestError } = require("../utils/validation.js");
+
+// names of the operations in error messages
+const OPERATION_NAMES = { encrypt: "encryption", decrypt: "decryption" };
+
+// encrypt or decrypt with a plugin, its errors of kind CipherParamError are bad requests
+// (the body already fits the operation's schema, see routes/ciphers.js)
+exports.runOperation = (plugin, operation) => async (req, res) => {
+  try {
+    return res.json(await plugin[operation](req.body));
+  } catch (error) {
+    if (error.name === "CipherParamError") {
+      return sendRequestError(
+        res,
+        requestError(error.code, error.field, error.message)
+      );
+    }
+    console.error(`${plugin.name} ${operation} error:`, error);
+    return res
+      .status(500)
+      .json({ error: `Error during ${OPERATION_NAMES[operation]}` });
+  }
+};
+
+/**
+ *************** crack with a plugin's worker crack
+ */
+exports.runCrack = (plugin) => async (req, res) => {
+  try {
+    const {
+      async: runAsync = false,
+      priority = "normal",
+      cache = true,
+      ...params
+    } = req.body;
+
+    if (!PRIORITIES.includes(priority)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "invalid_value",
+          "priority",
+          `priority must be one of: ${PRIORITIES.join(", ")}`
+        )
+      );
+    }
+
+    if (!workerPool.hasCapacity()) {
+      return sendBusy(res, workerPool.retryAfter());
+    }
+
+    const clientId = getClientId(req);
+    const task = { ...params, cipher: plugin.name };
+    // identical cracks are answered from the result cache, or share one computation
+    const job = jobs.start("crack", async (signal, job) => {
+      const { value, cached, age } = await resultCache.run(
+        task,
+        (cacheSignal) =>
+          workerPool.runTask(task, {
+            signal: cacheSignal,
+            priority,
+            clientId,
+            onStart: () => jobs.markRunning(job),
+            onProgress: (progress) => jobs.reportProgress(job, progress),
+          }),
+        { signal, refresh: !cache }
+      );
+      return { ...value, cached, ...(cached && { age }) };
+    });
+    return await respondWithJob(req, res, job, runAsync);
+  } catch (error) {
+    return sendCrackError(res, error, `Error during ${plugin.name} cracking`);
+  }
+};
+
+/**
+ ********************* the registered ciphers and their parameters
+ */
+exports.listCiphers = (req, res) => {
+  return res.json({
+    ciphers: listCipherPlugins().map((plugin) => ({
+      name: plugin.name,
+      title: plugin.title,
+      operations: ["encrypt", "decrypt"].concat(
+        plugin.crack || plugin.params.crack ? ["crack"] : []
+      ),
+      params: plugin.params,
+      url: `${req.baseUrl}/${plugin.name}`,
+    })),
+  });
+};
+
+/**
+ ********************* status and result of a crack job
+ */
+exports.getJob = (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return sendRequestError(
+      res,
+      requestError("not_found", "id", "Job not found or expired"),
+      404
+    );
+  }
+
+  return res.json(job);
+};
+
+/**
+ ********************* live progress of a crack job (Server-Sent Events)
+ */
+exports.streamCrack = (req, res) => {
+  const { jobId } = req.query;
+
+  if (!jobId) {
+    return sendRequestError(
+      res,
+      requestError(
+        "required",
+        "jobId",
+        "jobId is required, start the crack with async: true first"
+      )
+    );
+  }
+
+  const job = jobs.get(jobId);
+  if (!job) {
+    return sendRequestError(
+      res,
+      requestError("not_found", "jobId", "Job not found or expired"),
+      404
+    );
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // the current state first, so late subscribers see where the job is
+  send("status", job);
+  if (job.finishedAt) {
+    send(job.status, job);
+    return res.end();
+  }
+
+  // comments keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  const unsubscribe = jobs.subscribe(jobId, (event, data) => {
+    if (event === "progress") {
+      send("progress", data);
+      return;
+    }
+    // the final event is named after the outcome: completed, failed or cancelled
+    send(data.status, data);
+    clearInterval(heartbeat);
+    res.end();
+  });
+
+  // closing the stream doesn't cancel the job, DELETE /jobs/:id does
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ ********************* cancel a crack job
+ */
+exports.cancelJob = (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) {
+    return sendRequestError(
+      res,
+      requestError("not_found", "id", "Job not found or expired"),
+      404
+    );
+  }
+
+  if (job.status !== "cancelled") {
+    return sendRequestError(
+      res,
+      requestError("job_finished", "id", `Job already ${job.status}`),
+      409,
+      { status: job.status }
+    );
+  }
+
+  return res.json(job);
+};
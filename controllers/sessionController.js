@@ -0,0 +1,148 @@
+// controller logic for saved crack sessions: every crack is recorded in a session,
+// which can be annotated, given a key and resumed later from that key
+const {
+  getSession,
+  listSessions,
+  createSession,
+  updateSession,
+  deleteSession,
+} = require("../utils/sessionStore.js");
+const { getClientId } = require("../utils/crackJobs.js");
+const { requestError, sendRequestError } = require("../utils/validation.js");
+
+// crack settings a resume may change, the rest come from the session
+const RESUME_OVERRIDES = [
+  "maxIterations",
+  "targetRecognition",
+  "priority",
+  "async",
+];
+
+/**
+ ********************* list and read sessions
+ */
+exports.listSessions = (req, res) => {
+  try {
+    return res.json({ sessions: listSessions(getClientId(req)) });
+  } catch (error) {
+    console.error("Session listing error:", error);
+    return res.status(500).json({ error: "Error while listing sessions" });
+  }
+};
+
+exports.getSession = (req, res) => {
+  try {
+    const session = getSession(getClientId(req), req.params.id);
+    if (!session) {
+      return sendRequestError(
+        res,
+        requestError("not_found", "id", "Session not found"),
+        404
+      );
+    }
+    return res.json(session);
+  } catch (error) {
+    console.error("Session read error:", error);
+    return res.status(500).json({ error: "Error while reading the session" });
+  }
+};
+
+/**
+ ********************* save and change sessions
+ */
+exports.createSession = (req, res) => {
+  try {
+    const { ciphertext, name, notes, key } = req.body;
+    const session = createSession(getClientId(req), {
+      ciphertext,
+      name,
+      notes,
+      key,
+    });
+    return res.status(201).json(session);
+  } catch (error) {
+    console.error("Session creation error:", error);
+    return res.status(500).json({ error: "Error while saving the session" });
+  }
+};
+
+exports.updateSession = (req, res) => {
+  try {
+    const { name, notes, key } = req.body;
+    const session = updateSession(getClientId(req), req.params.id, {
+      name,
+      notes,
+      key,
+    });
+    if (!session) {
+      return sendRequestError(
+        res,
+        requestError("not_found", "id", "Session not found"),
+        404
+      );
+    }
+    return res.json(session);
+  } catch (error) {
+    console.error("Session update error:", error);
+    return res.status(500).json({ error: "Error while saving the session" });
+  }
+};
+
+exports.deleteSession = (req, res) => {
+  try {
+    if (!deleteSession(getClientId(req), req.params.id)) {
+      return sendRequestError(
+        res,
+        requestError("not_found", "id", "Session not found"),
+        404
+      );
+    }
+    return res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    console.error("Session deletion error:", error);
+    return res.status(500).json({ error: "Error while deleting the session" });
+  }
+};
+
+/**
+ ********************* resume a session
+ */
+// turn a resume request into a refine crack of the session's ciphertext, seeded
+// with its key; the crack is then validated and run like any other
+exports.prepareResume = (req, res, next) => {
+  const session = getSession(getClientId(req), req.params.id);
+  if (!session) {
+    return sendRequestError(
+      res,
+      requestError("not_found", "id", "Session not found"),
+      404
+    );
+  }
+
+  const seedKey = req.body.seedKey || session.key;
+  if (!seedKey) {
+    return sendRequestError(
+      res,
+      requestError(
+        "no_key",
+        "seedKey",
+        "The session has no key yet, give a seedKey to start from"
+      )
+    );
+  }
+
+  const overrides = {};
+  for (const name of RESUME_OVERRIDES) {
+    if (req.body[name] !== undefined) overrides[name] = req.body[name];
+  }
+
+  req.body = {
+    ...session.params,
+    ...overrides,
+    ciphertext: session.ciphertext,
+    method: "refine",
+    seedKey,
+    sessionId: session.id,
+  };
+  return next();
+};
@@ -1,130 +1,1253 @@
 // controller logic for Vigenère API endpoints
+// request bodies are checked against the vigenere plugin's schemas before they get
+// here (see ciphers/vigenere.js), the handlers only check what a schema can't
 const {
-  decryptWithKey,
-  countRecognizedWords,
+  getCipherOptionsError,
+  isValidKey,
 } = require("../utils/vigenereLogic.js");
-const { createWorkerPool } = require("../utils/workerPool.js");
-const fs = require("fs");
-const path = require("path");
-
-// load dictionary
-const dictionary = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "../data/Words.json"), "utf8")
-).commonWords.reduce((dict, word, index) => {
-  // calculate weight based on word frequency and length
-  let weight = 1.0;
-  if (word.length > 2) weight += (word.length - 2) * 0.3;
-  if (index < 500) weight += 0.8;
-  dict[word] = weight;
-  return dict;
-}, {});
-
-// load common keys
-const vkData = JSON.parse(
-  fs.readFileSync(path.join(__dirname, "../data/vk.json"), "utf8")
-);
-
-const WORKER_COUNT = Math.max(4, require("os").cpus().length - 1);
-const workerPath = path.resolve(__dirname, "../workers/vigenereWorker.js");
-const workerPool = createWorkerPool(workerPath, WORKER_COUNT);
-
-let activeTasks = 0;
-let completedTasks = 0;
+const { LANGUAGES, getLanguageAlphabet } = require("../utils/languages.js");
+const { requestError, sendRequestError } = require("../utils/validation.js");
+const {
+  resolveAlphabet,
+  validateAlphabetSpec,
+  needsKeywordSearch,
+  describeAlphabet,
+  createAlphabet,
+  STANDARD_LETTERS,
+} = require("../utils/alphabet.js");
+const { hasNgramTable, defaultFitness } = require("../utils/ngramScoring.js");
+const {
+  workerPool,
+  resultCache,
+  jobs,
+  WORKER_COUNT,
+  getClientId,
+  sendBusy,
+  respondWithJob,
+  jobRequestError,
+  sendCrackError,
+} = require("../utils/crackJobs.js");
+const {
+  needsKeyLengths,
+  planShards,
+  mergeShardResults,
+} = require("../utils/crackShards.js");
+const {
+  getKnownKeys,
+  getWordlist,
+  getWordlistVersion,
+  saveWordlist,
+  deleteWordlist,
+  listWordlists,
+  MAX_WORDLIST_SIZE,
+  MAX_WORD_LENGTH,
+  MAX_WORDLISTS,
+} = require("../utils/datasets.js");
+const {
+  DEFAULT_MUTATIONS,
+  DEFAULT_PAIR_WORDS,
+  SAMPLE_LETTERS,
+  MAX_SCORED_LETTERS,
+  countCandidates,
+  cleanWords,
+} = require("../utils/keyMutations.js");
+const { MIN_CRIB_LENGTH } = require("../utils/cribAttack.js");
+const { MIN_CRYPTANALYSIS_LETTERS } = require("../utils/vigenereCrack.js");
+const {
+  getSession,
+  createSession,
+  recordRun,
+} = require("../utils/sessionStore.js");
+const { ENCODING_FAMILIES } = require("../utils/cipherIdentifier.js");
+
 let startTime = Date.now();
 
+// periodic key likelihoods (see identifyCipher) under which a crack is refused or warned about
+const REFUSE_BELOW = 0.05;
+const WARN_BELOW = 0.3;
+// short periodic texts can look random or monoalphabetic, a statistical verdict
+// on fewer letters than this only gives a warning
+const MIN_REFUSAL_LETTERS = 200;
+
+// whether an identification is firm enough to refuse the crack on: an encoding
+// guess needs characters no cipher letter text has, the other families a long text
+const isRefusable = ({ family }, { features }) => {
+  if (ENCODING_FAMILIES.includes(family)) {
+    return features.letterCount < features.length;
+  }
+  return features.letterCount >= MIN_REFUSAL_LETTERS;
+};
+
+// swap the base of an alphabet spec for the full alphabet of a language (e.g. with Ñ)
+const withLanguageAlphabet = (alphabet, language) => {
+  const spec =
+    typeof alphabet === "string"
+      ? { type: alphabet }
+      : { type: "standard", ...alphabet };
+  return { ...spec, base: getLanguageAlphabet(language) };
+};
+
+// check a crack request and prepare the work, returns { error, status } for a bad request
+// or { languageNames, run } where run(signal, job) cracks the ciphertext on the pool
+// (run rejects with a RequestError when the text doesn't look like a periodic cipher)
+// sharding splits the crack over idle workers, progressTag is added to every progress update
+const prepareCrack = (
+  body,
+  { clientId, sharding = true, progressTag = {} } = {}
+) => {
+  const {
+    ciphertext,
+    maxKeyLength = 10,
+    targetRecognition = 90,
+    maxIterations = 35,
+    useBruteForce = false,
+    variant = "vigenere",
+    alphabet,
+    keywordCandidates,
+    language = "english",
+    extendedAlphabet = false,
+    fitness,
+    method = useBruteForce ? "brute-force" : "cryptanalysis",
+    temperature,
+    restarts,
+    timeBudget,
+    iterations,
+    // dictionary attack: uploaded wordlist name, mutation rules and pair partners
+    wordlist,
+    mutations = DEFAULT_MUTATIONS,
+    pairWords = DEFAULT_PAIR_WORDS,
+    // brute force and dictionary attacks are the heaviest cracks, they wait behind the others
+    priority = method === "brute-force" || method === "dictionary"
+      ? "low"
+      : "normal",
+    // crack even when the text doesn't look like a periodic key cipher
+    force = false,
+    // false cracks again instead of answering from the result cache
+    cache = true,
+    // refine method: continue the search from this key,
+    // anneal method: start the first restart from it
+    seedKey,
+  } = body;
+
+  // annealing is driven by n-gram fitness, word counting is too flat to climb
+  if (method === "anneal") {
+    if (fitness === "words") {
+      return {
+        error: requestError(
+          "unsupported",
+          "fitness",
+          "The anneal method needs an n-gram fitness"
+        ),
+      };
+    }
+    if (language !== "auto" && !hasNgramTable("quadgram", language)) {
+      return {
+        error: requestError(
+          "unsupported",
+          "language",
+          `The anneal method has no n-gram table for ${language}`
+        ),
+      };
+    }
+  }
+
+  if (
+    fitness !== undefined &&
+    language !== "auto" &&
+    !hasNgramTable(fitness, language)
+  ) {
+    return {
+      error: requestError(
+        "unsupported",
+        "fitness",
+        `No ${fitness} table available for ${language}`
+      ),
+    };
+  }
+
+  const optionsError = getCipherOptionsError(variant, alphabet, {
+    cracking: true,
+  });
+  if (optionsError) {
+    return {
+      error: requestError(
+        "invalid_value",
+        optionsError.field,
+        optionsError.message
+      ),
+    };
+  }
+
+  // a quagmire spec without keyword asks the worker to recover the mixed alphabet
+  if (extendedAlphabet && needsKeywordSearch(alphabet)) {
+    return {
+      error: requestError(
+        "unsupported",
+        "extendedAlphabet",
+        "extendedAlphabet can't be combined with recovering a quagmire keyword"
+      ),
+    };
+  }
+
+  // the cryptanalysis (also behind the quagmire keyword search) counts the letters
+  // of the cipher alphabet, a text with too few is refused before it reaches a worker
+  // (the full alphabet of a language isn't known yet, any letter may belong to it)
+  if (method === "cryptanalysis" || needsKeywordSearch(alphabet)) {
+    let letterCount;
+    if (extendedAlphabet) {
+      letterCount = (ciphertext.match(/\p{L}/gu) || []).length;
+    } else {
+      const cipherLetters = needsKeywordSearch(alphabet)
+        ? createAlphabet(alphabet.base || STANDARD_LETTERS)
+        : resolveAlphabet(alphabet).cipher;
+      letterCount = Array.from(ciphertext.toUpperCase()).filter((char) =>
+        cipherLetters.has(char)
+      ).length;
+    }
+    if (letterCount < MIN_CRYPTANALYSIS_LETTERS) {
+      return {
+        error: requestError(
+          "too_short",
+          "ciphertext",
+          `The ciphertext has ${letterCount} letters of the alphabet, the cryptanalysis needs at least ${MIN_CRYPTANALYSIS_LETTERS}`
+        ),
+        status: 422,
+      };
+    }
+  }
+
+  // a client only sees the wordlists uploaded with its own API key
+  if (
+    method === "dictionary" &&
+    wordlist !== undefined &&
+    !getWordlist(clientId, wordlist)
+  ) {
+    return {
+      error: requestError(
+        "not_found",
+        "wordlist",
+        `Wordlist ${wordlist} not found`
+      ),
+    };
+  }
+
+  // the candidate count and the letters each one is scored on are known up front,
+  // a crack that can't finish in its worker time isn't started
+  if (method === "dictionary") {
+    const candidates = countCandidates(
+      wordlist !== undefined ? getWordlist(clientId, wordlist) : getKnownKeys(),
+      { rules: mutations, pairWords, maxKeyLength }
+    );
+    const letters = Math.min(
+      SAMPLE_LETTERS,
+      (ciphertext.match(/\p{L}/gu) || []).length
+    );
+    if (candidates * letters > MAX_SCORED_LETTERS) {
+      return {
+        error: requestError(
+          "too_many_candidates",
+          "mutations",
+          `The dictionary attack would score ${candidates} keys on ${letters} letters each, at most ${MAX_SCORED_LETTERS} letters are allowed: use fewer mutations or pairWords, a lower maxKeyLength or a shorter wordlist`
+        ),
+      };
+    }
+  }
+
+  if (variant === "running-key" && method !== "brute-force") {
+    return {
+      error: requestError(
+        "unsupported",
+        "method",
+        "Running-key ciphers can only be cracked with the brute-force method"
+      ),
+    };
+  }
+
+  if (method === "refine" || (method === "anneal" && seedKey !== undefined)) {
+    if (needsKeywordSearch(alphabet)) {
+      return {
+        error: requestError(
+          "unsupported",
+          "alphabet",
+          "A seedKey needs a known alphabet, give the quagmire keyword"
+        ),
+      };
+    }
+    if (
+      !isValidKey(seedKey, { variant, alphabet: resolveAlphabet(alphabet) })
+    ) {
+      return {
+        error: requestError(
+          "invalid_value",
+          "seedKey",
+          "seedKey must contain only key symbols of the alphabet"
+        ),
+      };
+    }
+  }
+
+  // any text cracks to some key, so a text that looks like another cipher is
+  // refused and a doubtful one gets a warning with the result
+  // (autokey and running-key texts look random, they aren't checked)
+  // the identification runs on the pool before the crack, returns the warning or null
+  const checkCipher = async (signal, job) => {
+    if (force || variant === "autokey" || variant === "running-key") {
+      return null;
+    }
+    const identification = await workerPool.runTask(
+      {
+        cipher: "vigenere",
+        method: "identify",
+        ciphertext,
+        language: language === "auto" ? undefined : language,
+      },
+      { signal, priority, clientId, onStart: () => jobs.markRunning(job) }
+    );
+    const [likeliest] = identification.families;
+    if (!identification.reliable) return null;
+    if (
+      identification.periodicLikelihood < REFUSE_BELOW &&
+      likeliest.score >= 0.6 &&
+      isRefusable(likeliest, identification)
+    ) {
+      throw jobRequestError(
+        requestError(
+          "not_periodic",
+          "ciphertext",
+          `The text looks like ${
+            likeliest.family
+          } (score ${likeliest.score.toFixed(
+            2
+          )}), not a periodic key cipher, pass force: true to crack it anyway`
+        ),
+        422,
+        { identification }
+      );
+    }
+    if (identification.periodicLikelihood < WARN_BELOW) {
+      return `The text looks more like ${likeliest.family} than a periodic key cipher, the key found may be meaningless`;
+    }
+    return null;
+  };
+
+  // use workers for CPU-intensive operation
+  // idle workers share the crack as shards, their results are merged back
+  const runForLanguage = async (languageName, shardCount, signal, job) => {
+    const task = {
+      cipher: "vigenere",
+      ciphertext,
+      maxKeyLength,
+      targetRecognition,
+      maxIterations,
+      useBruteForce: method === "brute-force",
+      method,
+      anneal: { temperature, restarts, timeBudget, iterations },
+      variant,
+      alphabet: extendedAlphabet
+        ? withLanguageAlphabet(alphabet, languageName)
+        : alphabet,
+      language: languageName,
+      // with "auto", languages without the requested table fall back to their default
+      fitness:
+        fitness && hasNgramTable(fitness, languageName)
+          ? fitness
+          : defaultFitness(languageName),
+      // the worker falls back to its known keys when none are given
+      keywordCandidates,
+      ...(method === "dictionary" && {
+        wordlist,
+        wordlistOwner: wordlist !== undefined ? clientId : undefined,
+        mutations,
+        pairWords,
+      }),
+      ...((method === "refine" || method === "anneal") && { seedKey }),
+    };
+
+    // identical cracks are answered from the result cache, or share one computation
+    // (an uploaded wordlist's version is part of the key, it can be replaced)
+    const crackShards = async (cacheSignal) => {
+      const options = {
+        signal: cacheSignal,
+        priority,
+        clientId,
+        onStart: () => jobs.markRunning(job),
+      };
+      // the key lengths the shards split are ranked by a worker first
+      const { keyLengths } = needsKeyLengths(task, shardCount)
+        ? await workerPool.runTask({ ...task, method: "keylengths" }, options)
+        : {};
+      const results = await Promise.all(
+        planShards(task, shardCount, keyLengths).map((shard) =>
+          workerPool.runTask(shard, {
+            ...options,
+            onProgress: (progress) =>
+              jobs.reportProgress(job, {
+                ...progressTag,
+                ...progress,
+                language: languageName,
+              }),
+          })
+        )
+      );
+      return mergeShardResults(results);
+    };
+
+    const { value, cached, age } = await resultCache.run(
+      {
+        ...task,
+        wordlistVersion:
+          method === "dictionary" && wordlist !== undefined
+            ? getWordlistVersion(clientId, wordlist)
+            : null,
+      },
+      crackShards,
+      { signal, refresh: !cache }
+    );
+    return { ...value, cached, age };
+  };
+
+  // "auto" runs every language profile side by side and keeps the best scoring one
+  // fitness scores of different languages don't compare, so the composite score is used
+  // (annealing only runs for the languages that have an n-gram table)
+  const languageNames =
+    language === "auto"
+      ? Object.keys(LANGUAGES).filter(
+          (languageName) =>
+            method !== "anneal" || hasNgramTable("quadgram", languageName)
+        )
+      : [language];
+
+  const run = async (signal, job) => {
+    const warning = await checkCipher(signal, job);
+    const shardCount = sharding
+      ? Math.max(1, Math.floor(workerPool.idle / languageNames.length))
+      : 1;
+    const settled = await Promise.allSettled(
+      languageNames.map((languageName) =>
+        runForLanguage(languageName, shardCount, signal, job)
+      )
+    );
+
+    // one language failing doesn't sink the others, unless they all failed
+    if (settled.every((outcome) => outcome.status === "rejected")) {
+      throw settled[0].reason;
+    }
+    const languageResults = settled.map((outcome) =>
+      outcome.status === "fulfilled" ? outcome.value : { topResults: [] }
+    );
+
+    const topScore = (languageResult) =>
+      languageResult.topResults && languageResult.topResults.length > 0
+        ? languageResult.topResults[0].compositeScore
+        : -Infinity;
+    const bestIndex = languageResults.reduce(
+      (best, languageResult, index) =>
+        topScore(languageResult) > topScore(languageResults[best])
+          ? index
+          : best,
+      0
+    );
+    const result = languageResults[bestIndex];
+    console.log("Worker pool results:", result);
+
+    // If no results were found
+    if (!result.topResults || result.topResults.length === 0) {
+      return {
+        message: "No viable solutions found",
+        error: "Could not find any viable keys with the given parameters",
+      };
+    }
+
+    // prepare the response
+    const response = {
+      topResults: result.topResults,
+      fullDecryption: result.fullDecryption,
+      method: result.method,
+      variant: result.variant,
+      alphabet: result.alphabet,
+      language: languageNames[bestIndex],
+      fitness: result.fitness,
+      shards: result.shards || 1,
+      // dictionary attacks rank their keys on the start of the text
+      sampleLetters: result.sampleLetters,
+      cached: result.cached,
+      message: "Cipher cracked successfully",
+    };
+
+    // seconds since the cached result was computed
+    if (result.cached) response.age = result.age;
+
+    if (warning) response.warning = warning;
+
+    if (language === "auto") {
+      response.languageScores = languageNames.map((languageName, index) => ({
+        language: languageName,
+        compositeScore: topScore(languageResults[index]),
+        key:
+          languageResults[index].topResults &&
+          languageResults[index].topResults.length > 0
+            ? languageResults[index].topResults[0].key
+            : null,
+      }));
+    }
+
+    return response;
+  };
+
+  return { languageNames, run };
+};
+
 /**
- ****************************  decrypt text with a known key
+ *************** crack vigenere cipher without knowing the key
  */
-exports.decryptWithKey = async (req, res) => {
+exports.crackCipher = async (req, res) => {
   try {
-    const { ciphertext, key } = req.body;
+    const {
+      ciphertext,
+      sessionId,
+      async: runAsync = false,
+      cache,
+      ...params
+    } = req.body;
+    const owner = getClientId(req);
+
+    // the crack is recorded in the session given, or in a new one once it found keys
+    let session = null;
+    if (sessionId !== undefined) {
+      session = getSession(owner, sessionId);
+      if (!session) {
+        return sendRequestError(
+          res,
+          requestError("not_found", "sessionId", "Session not found"),
+          404
+        );
+      }
+      if (session.ciphertext !== ciphertext) {
+        return sendRequestError(
+          res,
+          requestError(
+            "invalid_value",
+            "ciphertext",
+            "The ciphertext differs from the one of the session"
+          )
+        );
+      }
+    }
 
-    if (!ciphertext) {
-      return res.status(400).json({ error: "Ciphertext is required" });
+    const crack = prepareCrack(req.body, { clientId: owner });
+    if (crack.error) {
+      return sendRequestError(res, crack.error, crack.status);
     }
 
-    if (!key) {
-      return res.status(400).json({ error: "Key is required" });
+    // every language needs a worker or a queue slot, refuse the crack up front
+    // rather than failing it half way
+    if (!workerPool.hasCapacity(crack.languageNames.length)) {
+      return sendBusy(res, workerPool.retryAfter());
     }
 
-    // decrypt the text
-    const decryptedText = decryptWithKey(ciphertext, key);
+    console.log("Starting worker task");
+    const job = jobs.start("crack", async (...args) => {
+      const response = await crack.run(...args);
+      // a new session is only saved for a crack that found keys, and one that
+      // can't be saved doesn't cost the client its result
+      if (!session && !response.topResults) return response;
+      try {
+        if (!session) session = createSession(owner, { ciphertext, params });
+        recordRun(owner, session.id, { params, response });
+      } catch (error) {
+        console.error("Failed to record the crack in a session:", error);
+        return response;
+      }
+      return { ...response, sessionId: session.id };
+    });
+    return await respondWithJob(req, res, job, runAsync);
+  } catch (error) {
+    return sendCrackError(res, error, "Error during cipher cracking");
+  }
+};
+
+// validate a shared-key batch, the messages are analysed together in one worker task
+const prepareSharedKeyCrack = (body, { clientId }) => {
+  const {
+    ciphertexts,
+    maxKeyLength = 10,
+    variant = "vigenere",
+    alphabet,
+    language = "english",
+    fitness,
+    priority = "normal",
+    cache = true,
+  } = body;
+
+  if (language === "auto") {
+    return {
+      error: requestError(
+        "unsupported",
+        "language",
+        `Shared-key mode needs a language, one of: ${Object.keys(
+          LANGUAGES
+        ).join(", ")}`
+      ),
+    };
+  }
 
-    // calculate word stats
-    const wordStats = countRecognizedWords(decryptedText, dictionary);
+  if (fitness !== undefined && !hasNgramTable(fitness, language)) {
+    return {
+      error: requestError(
+        "unsupported",
+        "fitness",
+        `No ${fitness} table available for ${language}`
+      ),
+    };
+  }
 
-    return res.json({
-      decryptedText,
-      wordStats,
-      key,
+  // the alphabet must be known, quagmire keywords aren't searched for here
+  const optionsError = getCipherOptionsError(variant, alphabet);
+  if (optionsError) {
+    return {
+      error: requestError(
+        "invalid_value",
+        optionsError.field,
+        optionsError.message
+      ),
+    };
+  }
+
+  if (variant === "autokey" || variant === "running-key") {
+    return {
+      error: requestError(
+        "unsupported",
+        "variant",
+        `Shared-key mode needs a periodic key, the ${variant} variant has none`
+      ),
+    };
+  }
+
+  const task = {
+    cipher: "vigenere",
+    method: "shared-key",
+    ciphertexts,
+    maxKeyLength,
+    variant,
+    alphabet,
+    language,
+    fitness: fitness || defaultFitness(language),
+  };
+
+  const run = async (signal, job) => {
+    const {
+      value: result,
+      cached,
+      age,
+    } = await resultCache.run(
+      task,
+      (cacheSignal) =>
+        workerPool.runTask(task, {
+          signal: cacheSignal,
+          priority,
+          clientId,
+          onStart: () => jobs.markRunning(job),
+          onProgress: (progress) =>
+            jobs.reportProgress(job, { ...progress, language }),
+        }),
+      { signal, refresh: !cache }
+    );
+
+    if (result.topResults.length === 0) {
+      return {
+        message: "No viable solutions found",
+        error: "Could not find a key shared by the messages",
+      };
+    }
+
+    return {
+      sharedKey: true,
+      topResults: result.topResults,
+      results: result.decryptions.map((fullDecryption, index) => ({
+        index,
+        fullDecryption,
+      })),
+      method: result.method,
+      variant: result.variant,
+      alphabet: result.alphabet,
+      language,
+      fitness: result.fitness,
+      cached,
+      ...(cached && { age }),
+      message: "Shared key recovered",
+    };
+  };
+
+  return { run, taskCount: 1 };
+};
+
+// prepare one crack per message, invalid messages become failures of the batch
+// items run unsharded so the messages spread over the workers instead
+const prepareBatchCrack = (body, { clientId }) => {
+  const failures = [];
+  const items = [];
+
+  body.ciphertexts.forEach((ciphertext, index) => {
+    if (typeof ciphertext !== "string" || !ciphertext) {
+      failures.push({
+        index,
+        error: requestError(
+          "too_short",
+          `ciphertexts[${index}]`,
+          "Ciphertext must not be empty"
+        ),
+      });
+      return;
+    }
+    const crack = prepareCrack(
+      { ...body, ciphertext },
+      { clientId, sharding: false, progressTag: { index } }
+    );
+    if (crack.error) failures.push({ index, error: crack.error });
+    else items.push({ index, crack });
+  });
+
+  const run = async (signal, job) => {
+    const settled = await Promise.allSettled(
+      items.map((item) => item.crack.run(signal, job))
+    );
+
+    // a cancelled batch is cancelled as a whole
+    if (signal.aborted) {
+      const error = new Error("Task cancelled");
+      error.name = "AbortError";
+      throw error;
+    }
+
+    const results = [];
+    const runFailures = [...failures];
+    settled.forEach((outcome, i) => {
+      const { index } = items[i];
+      if (outcome.status === "rejected") {
+        runFailures.push({
+          index,
+          error:
+            outcome.reason.requestError ||
+            requestError("crack_failed", null, outcome.reason.message),
+        });
+      } else if (!outcome.value.topResults) {
+        runFailures.push({
+          index,
+          error: requestError("no_solution", null, outcome.value.error),
+        });
+      } else {
+        results.push({ index, ...outcome.value });
+      }
     });
+    runFailures.sort((a, b) => a.index - b.index);
+
+    return {
+      sharedKey: false,
+      results,
+      failures: runFailures,
+      total: body.ciphertexts.length,
+      succeeded: results.length,
+      failed: runFailures.length,
+      message:
+        runFailures.length === 0
+          ? "All ciphers cracked successfully"
+          : `${results.length} of ${body.ciphertexts.length} ciphers cracked`,
+    };
+  };
+
+  return {
+    run,
+    taskCount: items.reduce(
+      (sum, item) => sum + item.crack.languageNames.length,
+      0
+    ),
+  };
+};
+
+/**
+ *************** crack many ciphertexts in one call
+ */
+exports.crackBatch = async (req, res) => {
+  try {
+    const {
+      ciphertexts,
+      sharedKey = false,
+      async: runAsync = false,
+    } = req.body;
+
+    if (sharedKey && ciphertexts.some((text) => !text)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_short",
+          "ciphertexts",
+          "Every ciphertext must be non-empty in shared-key mode"
+        )
+      );
+    }
+
+    const prepare = sharedKey ? prepareSharedKeyCrack : prepareBatchCrack;
+    const crack = prepare(req.body, { clientId: getClientId(req) });
+    if (crack.error) {
+      return sendRequestError(res, crack.error);
+    }
+
+    const { max } = workerPool.queue;
+    if (max > 0 && crack.taskCount > workerPool.size + max) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_long",
+          "ciphertexts",
+          `The batch needs ${
+            crack.taskCount
+          } worker tasks, the server takes at most ${
+            workerPool.size + max
+          } at once`
+        )
+      );
+    }
+
+    if (!workerPool.hasCapacity(crack.taskCount)) {
+      return sendBusy(res, workerPool.retryAfter());
+    }
+
+    console.log(`Starting batch of ${ciphertexts.length} ciphertexts`);
+    const job = jobs.start("batch", crack.run);
+    return await respondWithJob(req, res, job, runAsync);
   } catch (error) {
-    console.error("Decryption error:", error);
-    return res.status(500).json({ error: "Error during decryption" });
+    return sendCrackError(res, error, "Error during batch cracking");
   }
 };
 
 /**
- *************** crack vigenere cipher without knowing the key
+ ********************* rank likely key lengths (Kasiski, Friedman and IC)
  */
-exports.crackCipher = async (req, res) => {
+exports.analyzeKeyLength = async (req, res) => {
   try {
     const {
       ciphertext,
-      maxKeyLength = 10,
-      targetRecognition = 90,
-      maxIterations = 35,
-      useBruteForce = false,
+      maxKeyLength = 20,
+      language = "english",
+      alphabet,
+      extendedAlphabet = false,
     } = req.body;
 
-    if (!ciphertext) {
-      return res.status(400).json({ error: "Ciphertext is required" });
+    const alphabetError = validateAlphabetSpec(alphabet, {
+      allowMissingKeyword: true,
+    });
+    if (alphabetError) {
+      return sendRequestError(
+        res,
+        requestError("invalid_value", "alphabet", alphabetError)
+      );
     }
 
-    // Increment active tasks
-    activeTasks++;
-    console.log("Starting worker task");
+    const task = {
+      cipher: "vigenere",
+      method: "analyze-keylength",
+      ciphertext,
+      maxKeyLength,
+      language,
+      alphabet,
+      extendedAlphabet,
+    };
 
-    // use worker for CPU-intensive operation
-    const result = await workerPool.runTask({
+    return await startAnalysisJob(req, res, "keylength", task, (result) => ({
+      ...result,
+      language,
+    }));
+  } catch (error) {
+    return sendCrackError(res, error, "Error during key length analysis");
+  }
+};
+
+/**
+ ********************* statistics report to inspect a ciphertext before cracking it
+ */
+exports.analyzeText = async (req, res) => {
+  try {
+    const {
       ciphertext,
-      maxKeyLength: parseInt(maxKeyLength),
-      targetRecognition: parseInt(targetRecognition),
-      maxIterations: parseInt(maxIterations),
-      useBruteForce: useBruteForce,
-      knownKeys: useBruteForce ? vkData.keys : [],
-      dictionary,
+      maxKeyLength = 20,
+      language = "english",
+      alphabet,
+      extendedAlphabet = false,
+      limit = 25,
+    } = req.body;
+
+    const alphabetError = validateAlphabetSpec(alphabet, {
+      allowMissingKeyword: true,
     });
-    console.log("Worker pool results:", result);
+    if (alphabetError) {
+      return sendRequestError(
+        res,
+        requestError("invalid_value", "alphabet", alphabetError)
+      );
+    }
 
-    // decrement active tasks and increment completed tasks
-    activeTasks--;
-    completedTasks++;
+    const task = {
+      cipher: "vigenere",
+      method: "analyze-text",
+      ciphertext,
+      maxKeyLength,
+      language,
+      alphabet,
+      extendedAlphabet,
+      limit,
+    };
 
-    // If no results were found
-    if (!result.topResults || result.topResults.length === 0) {
-      return res.json({
-        message: "No viable solutions found",
-        error: "Could not find any viable keys with the given parameters",
-      });
+    return await startAnalysisJob(req, res, "analyze", task, (report) => ({
+      ...report,
+      language,
+    }));
+  } catch (error) {
+    return sendCrackError(res, error, "Error during text analysis");
+  }
+};
+
+/**
+ ********************* score the cipher families a text likely belongs to
+ */
+exports.identifyCipher = async (req, res) => {
+  try {
+    const { ciphertext, language = "english", maxKeyLength = 20 } = req.body;
+
+    const task = {
+      cipher: "vigenere",
+      method: "identify",
+      ciphertext,
+      language,
+      maxKeyLength,
+    };
+
+    return await startAnalysisJob(
+      req,
+      res,
+      "identify",
+      task,
+      (identification) => ({ ...identification, language })
+    );
+  } catch (error) {
+    return sendCrackError(res, error, "Error during cipher identification");
+  }
+};
+
+// run an analysis on the worker pool like a crack: queued by priority, charged to
+// the client's CPU quota and answered at once as a job when async is set
+const startAnalysisJob = async (req, res, type, task, respond) => {
+  const { priority = "normal", async: runAsync = false } = req.body;
+  if (!workerPool.hasCapacity(1)) {
+    return sendBusy(res, workerPool.retryAfter());
+  }
+
+  const clientId = getClientId(req);
+  const job = jobs.start(type, async (signal, job) =>
+    respond(
+      await workerPool.runTask(task, {
+        signal,
+        priority,
+        clientId,
+        onStart: () => jobs.markRunning(job),
+      })
+    )
+  );
+  return await respondWithJob(req, res, job, runAsync);
+};
+
+// cribs come as words, or as { text, position } when the letter offset is known
+const parseCribs = (cribs) => {
+  return (Array.isArray(cribs) ? cribs : [cribs]).map((crib) =>
+    typeof crib === "string" ? { text: crib } : crib
+  );
+};
+
+/**
+ ********************* recover the key from known plaintext (cribs)
+ */
+exports.cribAttack = async (req, res) => {
+  try {
+    const {
+      ciphertext,
+      cribs,
+      maxKeyLength = 20,
+      limit = 10,
+      variant = "vigenere",
+      alphabet,
+      language = "english",
+      fitness,
+    } = req.body;
+
+    const optionsError = getCipherOptionsError(variant, alphabet);
+    if (optionsError) {
+      return sendRequestError(
+        res,
+        requestError("invalid_value", optionsError.field, optionsError.message)
+      );
     }
 
-    // prepare the response
-    const response = {
-      topResults: result.topResults,
-      fullDecryption: result.fullDecryption,
-      message: "Cipher cracked successfully",
+    // the key stream of these variants doesn't repeat, a crib only shows a piece of it
+    if (variant === "autokey" || variant === "running-key") {
+      return sendRequestError(
+        res,
+        requestError(
+          "unsupported",
+          "variant",
+          `Crib attacks need a periodic key, the ${variant} variant has none`
+        )
+      );
+    }
+
+    if (fitness !== undefined && !hasNgramTable(fitness, language)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "unsupported",
+          "fitness",
+          `No ${fitness} table available for ${language}`
+        )
+      );
+    }
+
+    const tableau = resolveAlphabet(alphabet);
+    const parsed = parseCribs(cribs);
+    const shortCrib = parsed.find(
+      ({ text }) =>
+        Array.from(text.toUpperCase()).filter((char) => tableau.plain.has(char))
+          .length < MIN_CRIB_LENGTH
+    );
+    if (shortCrib) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_short",
+          "cribs",
+          `Crib "${shortCrib.text}" is too short, cribs need at least ${MIN_CRIB_LENGTH} letters`
+        )
+      );
+    }
+
+    const task = {
+      cipher: "vigenere",
+      method: "crib",
+      ciphertext,
+      cribs: parsed,
+      maxKeyLength,
+      limit,
+      variant,
+      alphabet,
+      language,
+      fitness: fitness || defaultFitness(language),
+    };
+
+    return await startAnalysisJob(req, res, "crib", task, (result) => {
+      if (result.candidates.length === 0) {
+        return {
+          ...result,
+          message: "No placement of the cribs fits the ciphertext",
+        };
+      }
+      return {
+        ...result,
+        variant,
+        alphabet: describeAlphabet(tableau),
+        language,
+        message: "Key candidates recovered from the cribs",
+      };
+    });
+  } catch (error) {
+    return sendCrackError(res, error, "Error during crib attack");
+  }
+};
+
+/**
+ ********************* ranked alternatives of every key letter, to tweak a key by hand
+ */
+exports.analyzeColumns = async (req, res) => {
+  try {
+    const {
+      ciphertext,
+      key,
+      column,
+      limit = 5,
+      variant = "vigenere",
+      alphabet,
+      language = "english",
+      fitness,
+    } = req.body;
+
+    const optionsError = getCipherOptionsError(variant, alphabet);
+    if (optionsError) {
+      return sendRequestError(
+        res,
+        requestError("invalid_value", optionsError.field, optionsError.message)
+      );
+    }
+
+    // the key stream of these variants doesn't repeat, there are no columns
+    if (variant === "autokey" || variant === "running-key") {
+      return sendRequestError(
+        res,
+        requestError(
+          "unsupported",
+          "variant",
+          `Column analysis needs a periodic key, the ${variant} variant has none`
+        )
+      );
+    }
+
+    if (fitness !== undefined && !hasNgramTable(fitness, language)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "unsupported",
+          "fitness",
+          `No ${fitness} table available for ${language}`
+        )
+      );
+    }
+
+    const tableau = resolveAlphabet(alphabet);
+    if (!isValidKey(key, { variant, alphabet: tableau })) {
+      return sendRequestError(
+        res,
+        requestError(
+          "invalid_value",
+          "key",
+          "key must contain only key symbols of the alphabet"
+        )
+      );
+    }
+
+    const keyLength = Array.from(key).length;
+    if (column !== undefined && column >= keyLength) {
+      return sendRequestError(
+        res,
+        requestError(
+          "out_of_range",
+          "column",
+          `column must be between 0 and ${keyLength - 1}`
+        )
+      );
+    }
+
+    const task = {
+      cipher: "vigenere",
+      method: "columns",
+      ciphertext,
+      key,
+      column,
+      limit,
+      variant,
+      alphabet,
+      language,
+      fitness: fitness || defaultFitness(language),
     };
 
-    return res.json(response);
+    return await startAnalysisJob(req, res, "columns", task, (result) => ({
+      ...result,
+      variant,
+      alphabet: describeAlphabet(tableau),
+      language,
+    }));
   } catch (error) {
-    // decrement active tasks on error
-    activeTasks--;
+    return sendCrackError(res, error, "Error during column analysis");
+  }
+};
 
-    console.error("Cipher cracking error:", error);
-    return res
-      .status(500)
-      .json({ error: "Error during cipher cracking", message: error.message });
+/**
+ ********************* upload a wordlist for dictionary attacks
+ */
+// wordlists are kept per API key (see routes/vigenere.js, anonymous clients can't store any)
+exports.uploadWordlist = async (req, res) => {
+  try {
+    const { name, words } = req.body;
+    const owner = getClientId(req);
+
+    // a list of words, or plain text with one word per line
+    const list = typeof words === "string" ? words.split(/\r?\n/) : words;
+
+    if (list.length > MAX_WORDLIST_SIZE) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_long",
+          "words",
+          `A wordlist holds at most ${MAX_WORDLIST_SIZE} words`
+        )
+      );
+    }
+    if (list.some((word) => word.length > MAX_WORD_LENGTH)) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_long",
+          "words",
+          `Words must be at most ${MAX_WORD_LENGTH} characters`
+        )
+      );
+    }
+
+    const cleaned = cleanWords(list);
+    if (cleaned.length === 0) {
+      return sendRequestError(
+        res,
+        requestError(
+          "invalid_value",
+          "words",
+          "The wordlist has no words with letters"
+        )
+      );
+    }
+
+    const replaced = getWordlist(owner, name) !== null;
+    if (!replaced && listWordlists(owner).length >= MAX_WORDLISTS) {
+      return sendRequestError(
+        res,
+        requestError(
+          "too_many",
+          "name",
+          `An API key keeps at most ${MAX_WORDLISTS} wordlists, delete one first`
+        ),
+        409
+      );
+    }
+    saveWordlist(owner, name, cleaned);
+
+    return res.status(replaced ? 200 : 201).json({
+      name,
+      count: cleaned.length,
+      skipped: list.length - cleaned.length,
+      replaced,
+    });
+  } catch (error) {
+    console.error("Wordlist upload error:", error);
+    return res.status(500).json({ error: "Error while storing the wordlist" });
+  }
+};
+
+exports.listWordlists = (req, res) => {
+  try {
+    return res.json({ wordlists: listWordlists(getClientId(req)) });
+  } catch (error) {
+    console.error("Wordlist listing error:", error);
+    return res.status(500).json({ error: "Error while listing wordlists" });
+  }
+};
+
+exports.deleteWordlist = (req, res) => {
+  try {
+    if (!deleteWordlist(getClientId(req), req.params.name)) {
+      return sendRequestError(
+        res,
+        requestError("not_found", "name", "Wordlist not found"),
+        404
+      );
+    }
+    return res.json({ name: req.params.name, deleted: true });
+  } catch (error) {
+    console.error("Wordlist deletion error:", error);
+    return res.status(500).json({ error: "Error while deleting the wordlist" });
   }
 };
 
@@ -137,16 +1260,13 @@ exports.getStatus = (req, res) => {
   return res.json({
     status: "operational",
     workers: WORKER_COUNT,
-    activeTasks,
-    completedTasks,
+    activeTasks: jobs.active,
+    completedTasks: jobs.completed,
     uptime: `${Math.floor(uptime / 60)} minutes, ${uptime % 60} seconds`,
     activeWorkers: workerPool.active,
     pendingTasks: workerPool.pending,
+    queue: workerPool.queue,
+    workerRestarts: workerPool.restarts,
+    resultCache: resultCache.stats,
   });
 };
-
-process.on("exit", () => {
-  if (workerPool.terminate) {
-    workerPool.terminate();
-  }
-});
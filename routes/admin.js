@@ -0,0 +1,28 @@
+// API routes for administration, every one needs an admin API key
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { TIERS, requireAdmin } = require("../utils/apiKeys.js");
+const { validateBody } = require("../utils/validation.js");
+
+const newKey = {
+  type: "object",
+  required: ["name", "tier"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    tier: {
+      type: "string",
+      enum: Object.keys(TIERS).filter((tier) => tier !== "anonymous"),
+    },
+  },
+};
+
+router.use(requireAdmin);
+
+router.get("/usage", adminController.listUsage);
+
+router.post("/keys", validateBody(newKey), adminController.createKey);
+
+router.delete("/keys/:id", adminController.revokeKey);
+
+module.exports = router;
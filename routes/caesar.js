@@ -0,0 +1,11 @@
+// API routes for caesar / ROT-N operations
+// encrypt, decrypt and the crack jobs are generated for every plugin (see routes/ciphers.js)
+const express = require("express");
+const router = express.Router();
+const caesarController = require("../controllers/caesarController");
+const { params } = require("../ciphers/caesar");
+const { validateBody } = require("../utils/validation.js");
+
+router.post("/crack", validateBody(params.crack), caesarController.crackCaesar);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// API routes generated from the cipher registry: /api/:cipher/...
+// a plugin's own routes come first, then encrypt, decrypt, the worker crack
+// and its crack jobs (for plugins with a worker crack)
+// every body is checked against the plugin's params schema of the route
+// the admin and session routes are mounted here too, so /docs lists every route
+const express = require("express");
+const { listCipherPlugins } = require("../ciphers");
+const cipherController = require("../controllers/cipherController");
+const { validateBody } = require("../utils/validation.js");
+const { buildOpenApiDocument } = require("../utils/openapi.js");
+const { requireCpuQuota } = require("../utils/apiKeys.js");
+const sessionRoutes = require("./sessions");
+const adminRoutes = require("./admin");
+
+const router = express.Router();
+
+// the routers the OpenAPI document lists
+const mounts = [{ prefix: "/api", router, tag: "api" }];
+
+router.get("/ciphers", cipherController.listCiphers);
+
+// API keys and their usage, for admin keys only
+router.use("/admin", adminRoutes);
+mounts.push({ prefix: "/api/admin", router: adminRoutes, tag: "admin" });
+
+// saved crack sessions, resumed with the vigenere refine crack
+router.use("/sessions", sessionRoutes);
+mounts.push({
+  prefix: "/api/sessions",
+  router: sessionRoutes,
+  tag: "sessions",
+});
+
+// built on the first request, once every route is in place
+let openApiDocument = null;
+
+router.get("/docs", (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(mounts, {
+      title: "Vigenère Cipher API",
+      description: "Encrypt, decrypt and crack classical ciphers",
+    });
+  }
+  return res.json(openApiDocument);
+});
+
+for (const plugin of listCipherPlugins()) {
+  const cipherRouter = express.Router();
+
+  if (plugin.routes) {
+    cipherRouter.use(plugin.routes());
+  }
+
+  cipherRouter.post(
+    "/encrypt",
+    validateBody(plugin.params.encrypt),
+    cipherController.runOperation(plugin, "encrypt")
+  );
+
+  cipherRouter.post(
+    "/decrypt",
+    validateBody(plugin.params.decrypt),
+    cipherController.runOperation(plugin, "decrypt")
+  );
+
+  if (plugin.crack) {
+    cipherRouter.post(
+      "/crack",
+      validateBody(plugin.params.crack),
+      requireCpuQuota,
+      cipherController.runCrack(plugin)
+    );
+
+    cipherRouter.get("/crack/stream", cipherController.streamCrack);
+
+    cipherRouter.get("/jobs/:id", cipherController.getJob);
+
+    cipherRouter.delete("/jobs/:id", cipherController.cancelJob);
+  }
+
+  router.use(`/${plugin.name}`, cipherRouter);
+  mounts.push({
+    prefix: `/api/${plugin.name}`,
+    router: cipherRouter,
+    tag: plugin.name,
+  });
+}
+
+module.exports = router;
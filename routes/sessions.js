@@ -0,0 +1,67 @@
+// API routes for saved crack sessions, a client only sees the sessions of its
+// own API key (or IP, without one)
+const express = require("express");
+const router = express.Router();
+const sessionController = require("../controllers/sessionController");
+const vigenereController = require("../controllers/vigenereController");
+const { params } = require("../ciphers/vigenere");
+const { text, priority, runAsync, integer } = require("../ciphers/schemas.js");
+const { validateBody } = require("../utils/validation.js");
+const { requireCpuQuota } = require("../utils/apiKeys.js");
+
+const sessionFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  notes: { type: "string", maxLength: 10000 },
+  key: text("The key chosen for the session, resumes start from it"),
+};
+
+const newSession = {
+  type: "object",
+  required: ["ciphertext"],
+  properties: { ciphertext: text(), ...sessionFields },
+};
+
+const sessionChanges = {
+  type: "object",
+  properties: sessionFields,
+};
+
+const resume = {
+  type: "object",
+  properties: {
+    seedKey: {
+      ...text("Start from this key instead of the session's key"),
+      maxLength: 1000,
+    },
+    maxIterations: integer(1, 1000, undefined, "Refinement rounds per key"),
+    targetRecognition: { type: "number", minimum: 0, maximum: 100 },
+    priority,
+    async: runAsync,
+  },
+};
+
+router.get("/", sessionController.listSessions);
+
+router.post("/", validateBody(newSession), sessionController.createSession);
+
+router.get("/:id", sessionController.getSession);
+
+router.post(
+  "/:id",
+  validateBody(sessionChanges),
+  sessionController.updateSession
+);
+
+router.delete("/:id", sessionController.deleteSession);
+
+// a refine crack from the session's key, recorded in the session
+router.post(
+  "/:id/resume",
+  validateBody(resume),
+  sessionController.prepareResume,
+  validateBody(params.crack),
+  requireCpuQuota,
+  vigenereController.crackCipher
+);
+
+module.exports = router;
@@ -1,11 +1,77 @@
 // API routes for vigenere cipher operations
+// encrypt, decrypt and the crack jobs are generated for every plugin (see routes/ciphers.js)
 const express = require("express");
 const router = express.Router();
 const vigenereController = require("../controllers/vigenereController");
+const { params } = require("../ciphers/vigenere");
+const { validateBody } = require("../utils/validation.js");
+const { requireCpuQuota, requireApiKey } = require("../utils/apiKeys.js");
 
-router.post("/decrypt", vigenereController.decryptWithKey);
+router.post(
+  "/crack",
+  validateBody(params.crack),
+  requireCpuQuota,
+  vigenereController.crackCipher
+);
 
-router.post("/crack", vigenereController.crackCipher);
+router.post(
+  "/crack/batch",
+  validateBody(params["crack/batch"]),
+  requireCpuQuota,
+  vigenereController.crackBatch
+);
+
+// the statistics and the identification too, they count against the CPU quota
+router.post(
+  "/analyze",
+  validateBody(params.analyze),
+  requireCpuQuota,
+  vigenereController.analyzeText
+);
+
+router.post(
+  "/identify",
+  validateBody(params.identify),
+  requireCpuQuota,
+  vigenereController.identifyCipher
+);
+
+router.post(
+  "/analyze/keylength",
+  validateBody(params["analyze/keylength"]),
+  requireCpuQuota,
+  vigenereController.analyzeKeyLength
+);
+
+// the crib attack and the column analysis run on the workers, like the cracks
+router.post(
+  "/crib",
+  validateBody(params.crib),
+  requireCpuQuota,
+  vigenereController.cribAttack
+);
+
+router.post(
+  "/columns",
+  validateBody(params.columns),
+  requireCpuQuota,
+  vigenereController.analyzeColumns
+);
+
+router.get("/wordlists", vigenereController.listWordlists);
+
+router.post(
+  "/wordlists",
+  requireApiKey,
+  validateBody(params.wordlists),
+  vigenereController.uploadWordlist
+);
+
+router.delete(
+  "/wordlists/:name",
+  requireApiKey,
+  vigenereController.deleteWordlist
+);
 
 router.get("/status", vigenereController.getStatus);
 
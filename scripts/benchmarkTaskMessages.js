@@ -0,0 +1,80 @@
+// measures what posting a crack task to a worker costs per request, with the datasets
+// in the message (how tasks used to be sent) and without them (how they are sent now)
+// usage: node scripts/benchmarkTaskMessages.js [requests] [language]
+const { Worker } = require("worker_threads");
+const { getDictionary, getKnownKeys } = require("../utils/datasets");
+
+const requests = parseInt(process.argv[2]) || 50;
+const language = process.argv[3] || "english";
+
+// the worker only answers, so the round trip is the structured clone and transfer
+const echoWorker = new Worker(
+  `const { parentPort } = require("worker_threads");
+   parentPort.on("message", () => parentPort.postMessage(null));`,
+  { eval: true }
+);
+
+const task = {
+  ciphertext:
+    "LXFOPVEFRNHR LXFOPVEFRNHR LXFOPVEFRNHR LXFOPVEFRNHR LXFOPVEFRNHR",
+  maxKeyLength: 10,
+  targetRecognition: 90,
+  maxIterations: 35,
+  useBruteForce: true,
+  method: "brute-force",
+  anneal: {},
+  variant: "vigenere",
+  language,
+  fitness: "quadgram",
+};
+
+const legacyTask = {
+  ...task,
+  knownKeys: getKnownKeys(),
+  dictionary: getDictionary(language),
+  keywordCandidates: [],
+};
+
+const roundTrip = (message) =>
+  new Promise((resolve) => {
+    const start = process.hrtime.bigint();
+    echoWorker.once("message", () =>
+      resolve(Number(process.hrtime.bigint() - start) / 1e6)
+    );
+    echoWorker.postMessage(message);
+  });
+
+const measure = async (message) => {
+  // a few warm up rounds so the first clone doesn't skew the numbers
+  for (let i = 0; i < 3; i++) await roundTrip(message);
+
+  const times = [];
+  for (let i = 0; i < requests; i++) times.push(await roundTrip(message));
+  times.sort((a, b) => a - b);
+
+  return {
+    mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+    median: times[Math.floor(times.length / 2)],
+    p95: times[Math.min(times.length - 1, Math.floor(times.length * 0.95))],
+  };
+};
+
+const format = ({ mean, median, p95 }) =>
+  `mean ${mean.toFixed(2)}ms, median ${median.toFixed(2)}ms, p95 ${p95.toFixed(
+    2
+  )}ms`;
+
+(async () => {
+  console.log(
+    `${requests} requests, ${getKnownKeys().length} known keys, ${
+      Object.keys(getDictionary(language)).length
+    } ${language} dictionary entries`
+  );
+  console.log(
+    `before (datasets in every task): ${format(await measure(legacyTask))}`
+  );
+  console.log(
+    `after  (parameters only):        ${format(await measure(task))}`
+  );
+  await echoWorker.terminate();
+})();
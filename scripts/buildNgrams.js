@@ -0,0 +1,80 @@
+// builds the n-gram log-probability tables used by utils/ngramScoring.js
+// usage: node scripts/buildNgrams.js <language> <corpus file or directory>...
+// the bundled english tables come from the U.S. State of the Union addresses
+// (public domain, the .txt files of the @stdlib/datasets-sotu package)
+const fs = require("fs");
+const path = require("path");
+
+// only the most common n-grams are kept, the rest fall back to the floor value
+const KEEP = { 3: 8000, 4: 30000 };
+
+const [language, ...inputs] = process.argv.slice(2);
+
+if (!language || inputs.length === 0) {
+  console.error(
+    "usage: node scripts/buildNgrams.js <language> <corpus file or directory>..."
+  );
+  process.exit(1);
+}
+
+// collect every .txt file of the inputs
+const files = [];
+for (const input of inputs) {
+  if (fs.statSync(input).isDirectory()) {
+    for (const name of fs.readdirSync(input)) {
+      if (name.endsWith(".txt")) files.push(path.join(input, name));
+    }
+  } else {
+    files.push(input);
+  }
+}
+
+const counts = { 3: new Map(), 4: new Map() };
+const totals = { 3: 0, 4: 0 };
+
+for (const file of files) {
+  // letters only, word boundaries are dropped like in classical ciphertext
+  const letters = fs
+    .readFileSync(file, "utf8")
+    .normalize("NFD")
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+
+  for (const n of [3, 4]) {
+    for (let i = 0; i + n <= letters.length; i++) {
+      const gram = letters.substring(i, i + n);
+      counts[n].set(gram, (counts[n].get(gram) || 0) + 1);
+      totals[n]++;
+    }
+  }
+}
+
+const outputDir = path.join(__dirname, "../data/ngrams");
+fs.mkdirSync(outputDir, { recursive: true });
+
+for (const n of [3, 4]) {
+  const kept = [...counts[n].entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, KEEP[n]);
+
+  const grams = {};
+  for (const [gram, count] of kept) {
+    grams[gram] = Number(Math.log10(count / totals[n]).toFixed(3));
+  }
+
+  const table = {
+    language,
+    n,
+    total: totals[n],
+    // log probability of an n-gram that never showed up in the corpus
+    floor: Number(Math.log10(0.01 / totals[n]).toFixed(3)),
+    grams,
+  };
+
+  const name = n === 4 ? "quadgrams" : "trigrams";
+  const outputFile = path.join(outputDir, `${language}_${name}.json`);
+  fs.writeFileSync(outputFile, JSON.stringify(table));
+  console.log(
+    `${outputFile}: ${kept.length} of ${counts[n].size} ${name} from ${files.length} files`
+  );
+}
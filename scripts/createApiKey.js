@@ -0,0 +1,20 @@
+// issues an API key from the command line, e.g. the first admin key
+// (later keys can be issued with POST /api/admin/keys)
+// usage: node scripts/createApiKey.js <name> [tier]
+const { TIERS, createKey } = require("../utils/apiKeys");
+
+const [name, tier = "free"] = process.argv.slice(2);
+
+if (!name || !TIERS[tier] || tier === "anonymous") {
+  console.error("usage: node scripts/createApiKey.js <name> [tier]");
+  console.error(
+    `tiers: ${Object.keys(TIERS)
+      .filter((candidate) => candidate !== "anonymous")
+      .join(", ")}`
+  );
+  process.exit(1);
+}
+
+const { key, record } = createKey({ name, tier });
+console.log(`Created ${record.tier} key ${record.id} for ${record.name}`);
+console.log(`API key (shown only once): ${key}`);
@@ -3,8 +3,8 @@ const express = require("express");
 const helmet = require("helmet");
 const cors = require("cors");
 const morgan = require("morgan");
-const rateLimit = require("express-rate-limit");
-const vigenereRoutes = require("./routes/vigenere");
+const { authenticate, limitPriority } = require("./utils/apiKeys");
+const cipherRoutes = require("./routes/ciphers");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,18 +14,15 @@ app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 app.use(morgan("dev"));
 
-// Rate limiting to prevent abuse
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 30,
-  message: { error: "Too many requests, please try again later." },
-});
-
-// Apply rate limiting to all requests
-app.use(limiter);
+// API keys: every request is counted against the tier of its key
+// (or the anonymous tier by IP), cracks also against a daily CPU quota
+app.use("/api", authenticate);
+// only keyed tiers may queue their tasks ahead of the others
+app.use("/api", limitPriority);
 
 // Routes
-app.use("/api/vigenere", vigenereRoutes);
+// every registered cipher under /api/:cipher, with the admin and session routes
+app.use("/api", cipherRoutes);
 
 app.get("/", (req, res) => {
   res.json({ message: "Vigenère Cipher API Server" });
@@ -0,0 +1,86 @@
+// known plaintext attack: where the cribs are placed and how they are combined
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { cribAttack, MAX_SLIDE_POSITIONS } = require("../utils/cribAttack.js");
+const { encryptWithKey } = require("../utils/vigenereLogic.js");
+
+const PLAINTEXT =
+  "It was the best of times, it was the worst of times, it was the age of wisdom, " +
+  "it was the age of foolishness, it was the epoch of belief, it was the epoch of " +
+  "incredulity, it was the season of light, it was the season of darkness, it was " +
+  "the spring of hope, it was the winter of despair.";
+const CIPHERTEXT = encryptWithKey(PLAINTEXT, "SECRET");
+const LETTERS = PLAINTEXT.toUpperCase().replace(/[^A-Z]/g, "");
+
+const attack = (cribs, options = {}) =>
+  cribAttack(CIPHERTEXT, cribs, { language: "english", ...options });
+
+test("a crib covering the key twice gives it directly", () => {
+  const { candidates } = attack([{ text: "season of light" }]);
+
+  assert.equal(candidates[0].key, "SECRET");
+  assert.equal(candidates[0].periodic, true);
+  assert.deepEqual(candidates[0].placements, [
+    { crib: "SEASONOFLIGHT", position: LETTERS.indexOf("SEASONOFLIGHT") },
+  ]);
+});
+
+test("a crib with a position is only placed there", () => {
+  const position = LETTERS.indexOf("WISDOM");
+  const { candidates, placements } = attack([{ text: "wisdom", position }]);
+
+  assert.equal(placements, 1);
+  assert.ok(candidates.some(({ key }) => key === "SECRET"));
+  for (const candidate of candidates) {
+    assert.deepEqual(candidate.placements, [{ crib: "WISDOM", position }]);
+  }
+});
+
+test("cribs pinning different key letters are combined", () => {
+  // each crib pins half of the six key letters
+  const cribs = [
+    { text: LETTERS.slice(36, 39), position: 36 },
+    { text: LETTERS.slice(39, 42), position: 39 },
+  ];
+  const [best] = attack(cribs, { maxKeyLength: 10 }).candidates;
+
+  assert.equal(best.key, "SECRET");
+  assert.equal(best.placements.length, 2);
+  assert.equal(best.cribsFound, 2);
+});
+
+test("sliding cribs are combined where they agree", () => {
+  const [best] = attack([{ text: "age of" }, { text: "spring" }], {
+    maxKeyLength: 10,
+  }).candidates;
+
+  assert.equal(best.key, "SECRET");
+  assert.deepEqual(best.placements.map(({ crib }) => crib).sort(), [
+    "AGEOF",
+    "SPRING",
+  ]);
+  assert.equal(best.cribsFound, 2);
+});
+
+test("a crib past the end of the text has no placements", () => {
+  const result = attack([{ text: "abc", position: 5000 }]);
+
+  assert.deepEqual(result.candidates, []);
+  assert.equal(result.placements, 0);
+  assert.equal(result.slideCapped, false);
+});
+
+test("sliding stops after MAX_SLIDE_POSITIONS letters", () => {
+  const long = encryptWithKey(
+    PLAINTEXT.repeat(Math.ceil(MAX_SLIDE_POSITIONS / LETTERS.length) + 1),
+    "SECRET"
+  );
+  const result = cribAttack(long, [{ text: "season of light" }], {
+    language: "english",
+    limit: 1,
+  });
+
+  assert.equal(result.slideCapped, true);
+  assert.ok(result.placements <= MAX_SLIDE_POSITIONS);
+  assert.equal(result.candidates[0].key, "SECRET");
+});
@@ -0,0 +1,92 @@
+// candidate keys of the dictionary attack: the count the crack is refused on must
+// match what the generator yields, and the default attack must fit the cap
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MUTATION_NAMES,
+  DEFAULT_MUTATIONS,
+  SAMPLE_LETTERS,
+  MAX_SCORED_LETTERS,
+  generateCandidates,
+  countCandidates,
+} = require("../utils/keyMutations.js");
+const { getKnownKeys } = require("../utils/datasets.js");
+
+// short words, a word that is also a suffix and partners the rules make too
+const WORDS = ["the", "S", "es", "key", "lemon", "Cipher", "aa", "keyes", "x"];
+
+test("countCandidates matches the generated candidates", () => {
+  const cases = [
+    {},
+    { rules: [] },
+    { rules: MUTATION_NAMES },
+    { rules: ["suffixes", "pairs"], pairWords: 3 },
+    { rules: ["pairs"], pairWords: 5, maxKeyLength: 6 },
+    { rules: MUTATION_NAMES, maxKeyLength: 3 },
+    { rules: MUTATION_NAMES, range: [2, 6] },
+  ];
+  for (const options of cases) {
+    // a fresh array each time, counts are remembered per wordlist
+    const words = [...WORDS];
+    assert.equal(
+      countCandidates(words, options),
+      [...generateCandidates(words, options)].length,
+      JSON.stringify(options)
+    );
+  }
+});
+
+test("candidates are upper case and not repeated for a word", () => {
+  const keys = [
+    ...generateCandidates(["noon"], { rules: MUTATION_NAMES, pairWords: 1 }),
+  ];
+
+  assert.equal(keys[0], "NOON");
+  // reversed NOON is NOON again, the pair with itself is new
+  assert.deepEqual(keys, [...new Set(keys)]);
+  assert.ok(keys.includes("NOONNOON"));
+  assert.ok(keys.every((key) => key === key.toUpperCase()));
+});
+
+test("mutated keys are capped at maxKeyLength and single letters dropped", () => {
+  const keys = [
+    ...generateCandidates(["lemon", "ab"], {
+      rules: MUTATION_NAMES,
+      pairWords: 2,
+      maxKeyLength: 5,
+    }),
+  ];
+
+  assert.ok(keys.includes("LEMON"));
+  assert.ok(!keys.includes("LEMONS"));
+  assert.ok(!keys.includes("ABLEMON"));
+  assert.ok(keys.includes("ABAB"));
+  // "ab" stripped of a letter is a caesar shift
+  assert.ok(!keys.includes("A") && !keys.includes("B"));
+  assert.ok(keys.every((key) => key.length <= 5));
+});
+
+test("a range only expands its slice of the words", () => {
+  const keys = [...generateCandidates(WORDS, { rules: [], range: [3, 5] })];
+  assert.deepEqual(keys, ["KEY", "LEMON"]);
+});
+
+test("the default dictionary attack fits the scoring cap", () => {
+  const candidates = countCandidates(getKnownKeys(), {
+    rules: DEFAULT_MUTATIONS,
+    maxKeyLength: 30,
+  });
+
+  assert.ok(candidates > getKnownKeys().length);
+  assert.ok(candidates * SAMPLE_LETTERS <= MAX_SCORED_LETTERS);
+  // every other rule on top of it is refused
+  for (const rule of MUTATION_NAMES.filter(
+    (name) => !DEFAULT_MUTATIONS.includes(name)
+  )) {
+    const count = countCandidates(getKnownKeys(), {
+      rules: [...DEFAULT_MUTATIONS, rule],
+      maxKeyLength: 30,
+    });
+    assert.ok(count * SAMPLE_LETTERS > MAX_SCORED_LETTERS, rule);
+  }
+});
@@ -0,0 +1,162 @@
+// the crack result cache: LRU eviction, expiry, the disk store and shared computations
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createResultCache } = require("../utils/resultCache.js");
+
+// a computation that counts how often it ran
+const counter = () => {
+  let runs = 0;
+  const compute = async () => ({ run: ++runs });
+  return { compute, runs: () => runs };
+};
+
+test("identical cracks are answered from the cache", async () => {
+  const cache = createResultCache();
+  const { compute, runs } = counter();
+
+  const first = await cache.run(
+    { ciphertext: "LXFOP\nVEFRNHR", maxKeyLength: 5 },
+    compute
+  );
+  // the same text typed on another system, options in another order
+  const second = await cache.run(
+    { maxKeyLength: 5, ciphertext: "LXFOP\r\nVEFRNHR" },
+    compute
+  );
+
+  assert.deepEqual(first, { value: { run: 1 }, cached: false, age: 0 });
+  assert.equal(second.cached, true);
+  assert.deepEqual(second.value, { run: 1 });
+  assert.equal(runs(), 1);
+
+  const refreshed = await cache.run(
+    { ciphertext: "LXFOP\nVEFRNHR", maxKeyLength: 5 },
+    compute,
+    { refresh: true }
+  );
+  assert.deepEqual(refreshed.value, { run: 2 });
+});
+
+test("the least recently used result is evicted", async () => {
+  const cache = createResultCache({ maxEntries: 2 });
+  const { compute, runs } = counter();
+
+  await cache.run({ ciphertext: "A" }, compute);
+  await cache.run({ ciphertext: "B" }, compute);
+  // A is used again, so B is the one that goes
+  await cache.run({ ciphertext: "A" }, compute);
+  await cache.run({ ciphertext: "C" }, compute);
+  assert.equal(cache.stats.entries, 2);
+
+  assert.equal((await cache.run({ ciphertext: "A" }, compute)).cached, true);
+  assert.equal((await cache.run({ ciphertext: "B" }, compute)).cached, false);
+  assert.equal(runs(), 4);
+});
+
+test("results expire after the ttl", async () => {
+  const cache = createResultCache({ ttl: 20 });
+  const { compute } = counter();
+
+  await cache.run({ ciphertext: "A" }, compute);
+  assert.equal((await cache.run({ ciphertext: "A" }, compute)).cached, true);
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  const expired = await cache.run({ ciphertext: "A" }, compute);
+  assert.equal(expired.cached, false);
+  assert.deepEqual(expired.value, { run: 2 });
+});
+
+test("cracks running at the same time share one computation", async () => {
+  const cache = createResultCache();
+  let runs = 0;
+  let finish;
+  const compute = () => {
+    runs++;
+    return new Promise((resolve) => (finish = resolve));
+  };
+
+  const first = cache.run({ ciphertext: "A" }, compute);
+  const second = cache.run({ ciphertext: "A" }, compute);
+  await new Promise((resolve) => setImmediate(resolve));
+  finish({ key: "LEMON" });
+
+  assert.deepEqual((await first).value, { key: "LEMON" });
+  assert.deepEqual((await second).value, { key: "LEMON" });
+  assert.equal(runs, 1);
+  assert.equal(cache.stats.coalesced, 1);
+});
+
+test("a shared computation is only cancelled once nobody waits for it", async () => {
+  const cache = createResultCache();
+  let computeSignal;
+  let finish;
+  const compute = (signal) => {
+    computeSignal = signal;
+    return new Promise((resolve) => (finish = resolve));
+  };
+
+  const first = new AbortController();
+  const second = new AbortController();
+  const firstRun = cache.run({ ciphertext: "A" }, compute, {
+    signal: first.signal,
+  });
+  const secondRun = cache.run({ ciphertext: "A" }, compute, {
+    signal: second.signal,
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  first.abort();
+  await assert.rejects(firstRun, { name: "AbortError" });
+  assert.equal(computeSignal.aborted, false);
+
+  second.abort();
+  await assert.rejects(secondRun, { name: "AbortError" });
+  assert.equal(computeSignal.aborted, true);
+  finish({});
+});
+
+test("failed computations aren't cached", async () => {
+  const cache = createResultCache();
+  await assert.rejects(
+    cache.run({ ciphertext: "A" }, async () => {
+      throw new Error("worker died");
+    }),
+    /worker died/
+  );
+
+  const { compute } = counter();
+  assert.equal((await cache.run({ ciphertext: "A" }, compute)).cached, false);
+});
+
+test("the disk store survives a restart and holds at most maxEntries", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "result-cache-"));
+  try {
+    const { compute, runs } = counter();
+    const cache = createResultCache({ maxEntries: 2, dir });
+    for (const ciphertext of ["A", "B", "C"]) {
+      await cache.run({ ciphertext }, compute);
+    }
+    // the evicted result is deleted from disk too
+    assert.equal(fs.readdirSync(dir).length, 2);
+
+    const restarted = createResultCache({ maxEntries: 2, dir });
+    const fromDisk = await restarted.run({ ciphertext: "C" }, compute);
+    assert.equal(fromDisk.cached, true);
+    assert.deepEqual(fromDisk.value, { run: 3 });
+    assert.equal(
+      (await restarted.run({ ciphertext: "A" }, compute)).cached,
+      false
+    );
+    assert.equal(runs(), 4);
+    assert.equal(fs.readdirSync(dir).length, 2);
+
+    // a smaller cache drops the oldest results it finds on disk
+    createResultCache({ maxEntries: 1, dir });
+    assert.equal(fs.readdirSync(dir).length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
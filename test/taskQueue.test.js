@@ -0,0 +1,71 @@
+// the worker queue: priorities first, then one task per client in turn
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTaskQueue } = require("../utils/taskQueue.js");
+
+// shift every task, in the order they come out
+const drain = (queue) => {
+  const order = [];
+  while (queue.length > 0) order.push(queue.shift());
+  return order;
+};
+
+test("more urgent priorities go first", () => {
+  const queue = createTaskQueue();
+  queue.push("low", { priority: "low" });
+  queue.push("normal");
+  queue.push("high", { priority: "high" });
+
+  assert.deepEqual(drain(queue), ["high", "normal", "low"]);
+  assert.equal(queue.shift(), undefined);
+});
+
+test("clients take turns within a priority, each in order of arrival", () => {
+  const queue = createTaskQueue();
+  for (const task of ["a1", "a2", "a3"]) queue.push(task, { clientId: "a" });
+  queue.push("b1", { clientId: "b" });
+  queue.push("b2", { clientId: "b" });
+  queue.push("c1", { clientId: "c" });
+
+  assert.deepEqual(drain(queue), ["a1", "b1", "c1", "a2", "b2", "a3"]);
+});
+
+test("a client that comes back waits behind the others", () => {
+  const queue = createTaskQueue();
+  queue.push("a1", { clientId: "a" });
+  queue.push("b1", { clientId: "b" });
+  assert.equal(queue.shift(), "a1");
+
+  queue.push("a2", { clientId: "a" });
+  queue.push("c1", { clientId: "c" });
+  assert.deepEqual(drain(queue), ["b1", "a2", "c1"]);
+});
+
+test("a full queue refuses tasks", () => {
+  const queue = createTaskQueue({ maxSize: 2 });
+  assert.equal(queue.push("a"), true);
+  assert.equal(queue.push("b", { priority: "high" }), true);
+
+  assert.equal(queue.isFull(), true);
+  assert.equal(queue.push("c", { priority: "high" }), false);
+  assert.equal(queue.length, 2);
+
+  queue.shift();
+  assert.equal(queue.push("c"), true);
+});
+
+test("tasks can be removed and counted per priority", () => {
+  const queue = createTaskQueue();
+  const task = { id: 1 };
+  queue.push(task, { clientId: "a", priority: "low" });
+  queue.push("other", { clientId: "a", priority: "low" });
+  queue.push("high", { priority: "high" });
+
+  assert.deepEqual(queue.depths(), { high: 1, normal: 0, low: 2 });
+  assert.equal(queue.remove(task), true);
+  assert.equal(queue.remove(task), false);
+  assert.deepEqual(queue.depths(), { high: 1, normal: 0, low: 1 });
+
+  assert.deepEqual(queue.clear().sort(), ["high", "other"]);
+  assert.equal(queue.length, 0);
+});
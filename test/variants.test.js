@@ -0,0 +1,135 @@
+// round trips of the cipher variants and the alphabets other than plain A-Z vigenere
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  encryptWithKey,
+  decryptWithKey,
+  VARIANTS,
+} = require("../utils/vigenereLogic.js");
+
+const PLAINTEXT = "Attack at dawn, hold the bridge at noon!";
+
+const roundTrip = (key, options) => {
+  const ciphertext = encryptWithKey(PLAINTEXT, key, options);
+
+  assert.notEqual(ciphertext, PLAINTEXT, JSON.stringify(options));
+  assert.equal(
+    decryptWithKey(ciphertext, key, options),
+    PLAINTEXT,
+    JSON.stringify(options)
+  );
+  return ciphertext;
+};
+
+test("every variant decrypts what it encrypts", () => {
+  for (const variant of Object.keys(VARIANTS)) {
+    const ciphertext = roundTrip("LEMON", { variant });
+    // case and non-letters are kept by every variant
+    assert.equal(
+      ciphertext.replace(/[a-z]/g, "a").replace(/[A-Z]/g, "A"),
+      PLAINTEXT.replace(/[a-z]/g, "a").replace(/[A-Z]/g, "A")
+    );
+  }
+});
+
+test("beaufort is its own inverse, variant beaufort undoes vigenere", () => {
+  const options = { variant: "beaufort" };
+  assert.equal(
+    encryptWithKey("ATTACKATDAWN", "LEMON", options),
+    "LLTOLBETLNPR"
+  );
+  assert.equal(
+    decryptWithKey("ATTACKATDAWN", "LEMON", options),
+    "LLTOLBETLNPR"
+  );
+
+  assert.equal(
+    encryptWithKey("LXFOPVEFRNHR", "LEMON", { variant: "variant-beaufort" }),
+    "ATTACKATDAWN"
+  );
+});
+
+test("autokey extends the key with the plaintext", () => {
+  const options = { variant: "autokey" };
+  assert.equal(
+    encryptWithKey("ATTACKATDAWN", "QUEENLY", options),
+    "QNXEPVYTWTWP"
+  );
+  assert.equal(
+    decryptWithKey("QNXEPVYTWTWP", "QUEENLY", options),
+    "ATTACKATDAWN"
+  );
+});
+
+test("a running key as long as the text is plain vigenere", () => {
+  const key = "ITWASTHEBESTOFTIMESITWASTHEWORST";
+  assert.equal(
+    encryptWithKey(PLAINTEXT, key, { variant: "running-key" }),
+    encryptWithKey(PLAINTEXT, key)
+  );
+  roundTrip(key, { variant: "running-key" });
+});
+
+test("gronsfeld digits shift like the letters at their position", () => {
+  const options = { alphabet: "gronsfeld" };
+  assert.equal(
+    encryptWithKey("ATTACKATDAWN", "31415", options),
+    encryptWithKey("ATTACKATDAWN", "DBEBF")
+  );
+  roundTrip("31415", options);
+});
+
+test("keyed and custom alphabets round trip", () => {
+  const alphabets = [
+    { type: "quagmire1", keyword: "KRYPTOS" },
+    { type: "quagmire2", keyword: "KRYPTOS" },
+    { type: "quagmire3", keyword: "KRYPTOS" },
+    {
+      type: "quagmire4",
+      plaintextKeyword: "KRYPTOS",
+      ciphertextKeyword: "PALIMPSEST",
+    },
+    { type: "quagmire3", keyword: "KRYPTOS", indicator: "A" },
+    { type: "custom", plaintextAlphabet: "ZYXWVUTSRQPONMLKJIHGFEDCBA" },
+    {
+      type: "custom",
+      plaintextAlphabet: "QWERTYUIOPASDFGHJKLZXCVBNM",
+      ciphertextAlphabet: "MNBVCXZLKJHGFDSAPOIUYTREWQ",
+    },
+    { type: "standard", indicator: "K" },
+  ];
+  const ciphertexts = alphabets.map((alphabet) =>
+    roundTrip("LEMON", { alphabet })
+  );
+
+  // each alphabet gives a different ciphertext, none of them plain vigenere
+  ciphertexts.push(encryptWithKey(PLAINTEXT, "LEMON"));
+  assert.equal(new Set(ciphertexts).size, ciphertexts.length);
+});
+
+test("variants combine with keyed alphabets", () => {
+  const alphabet = { type: "quagmire2", keyword: "KRYPTOS" };
+  for (const variant of Object.keys(VARIANTS)) {
+    roundTrip("LEMON", { variant, alphabet });
+  }
+});
+
+test("an extended base enciphers its extra letters and keeps the rest", () => {
+  const base = "ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ";
+  const plaintext = "Grüße aus Köln, übermäßig schön";
+
+  for (const alphabet of [
+    { type: "standard", base },
+    { type: "quagmire3", keyword: "KÖLN", base },
+  ]) {
+    const ciphertext = encryptWithKey(plaintext, "SCHLÜSSEL", { alphabet });
+
+    // ß isn't in the base, so it stays where it was
+    assert.equal(ciphertext.indexOf("ß"), plaintext.indexOf("ß"));
+    assert.notEqual(ciphertext, plaintext);
+    assert.equal(
+      decryptWithKey(ciphertext, "SCHLÜSSEL", { alphabet }),
+      plaintext
+    );
+  }
+});
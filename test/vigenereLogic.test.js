@@ -0,0 +1,42 @@
+// encrypt/decrypt round trips of the key helpers behind /encrypt and /decrypt
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encryptWithKey, decryptWithKey } = require("../utils/vigenereLogic.js");
+
+test("encrypts the textbook example", () => {
+  assert.equal(encryptWithKey("ATTACKATDAWN", "LEMON"), "LXFOPVEFRNHR");
+  assert.equal(decryptWithKey("LXFOPVEFRNHR", "LEMON"), "ATTACKATDAWN");
+});
+
+test("round trips keep the case of every letter", () => {
+  const plaintext = "Attack At DAWN, attack at dawn";
+  const ciphertext = encryptWithKey(plaintext, "lemon");
+
+  assert.equal(ciphertext, "Lxfopv Ef RNHR, mhglgw og oeib");
+  assert.equal(decryptWithKey(ciphertext, "lemon"), plaintext);
+});
+
+test("non-letters are passed through unchanged", () => {
+  const plaintext = "12 o'clock: meet @ the gate!\n-- 3 of us";
+  const ciphertext = encryptWithKey(plaintext, "KEY");
+
+  assert.equal(
+    ciphertext.replace(/[a-z]/gi, "*"),
+    plaintext.replace(/[a-z]/gi, "*")
+  );
+  assert.equal(decryptWithKey(ciphertext, "KEY"), plaintext);
+});
+
+test("the key only advances on letters", () => {
+  // the same letters with or without separators get the same key letters
+  const spaced = encryptWithKey("AT TA, CK!", "LEMON");
+  const packed = encryptWithKey("ATTACK", "LEMON");
+
+  assert.equal(spaced.replace(/[^A-Z]/g, ""), packed);
+  assert.equal(spaced, "LX FO, PV!");
+});
+
+test("an empty key leaves the text as it is", () => {
+  assert.equal(encryptWithKey("Hello", ""), "Hello");
+  assert.equal(decryptWithKey("Hello", ""), "Hello");
+});
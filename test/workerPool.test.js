@@ -0,0 +1,48 @@
+// backpressure of the worker pool: a full queue refuses tasks (the routes answer 503)
+// and so does a client whose CPU budget is used up
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createWorkerPool } = require("../utils/workerPool.js");
+
+const workerPath = path.resolve(__dirname, "../workers/cipherWorker.js");
+const task = {
+  cipher: "vigenere",
+  method: "identify",
+  ciphertext: "LXFOPVEFRNHR",
+};
+
+test("tasks past the queue limit are refused with a retry time", async () => {
+  const pool = createWorkerPool(workerPath, 1, { maxQueueSize: 1 });
+  try {
+    const running = pool.runTask(task);
+    const queued = pool.runTask(task, { clientId: "b" });
+
+    assert.equal(pool.hasCapacity(1), false);
+    await assert.rejects(pool.runTask(task), (error) => {
+      assert.equal(error.name, "QueueFullError");
+      assert.ok(error.retryAfter >= 1);
+      return true;
+    });
+
+    await Promise.all([running, queued]);
+    assert.equal(pool.hasCapacity(2), true);
+  } finally {
+    pool.terminate();
+  }
+});
+
+test("queued tasks of a client over budget are refused", async () => {
+  const pool = createWorkerPool(workerPath, 1, {
+    isOverBudget: (clientId) => clientId === "spent",
+  });
+  try {
+    await assert.rejects(pool.runTask(task, { clientId: "spent" }), {
+      name: "QuotaExceededError",
+    });
+    const result = await pool.runTask(task, { clientId: "other" });
+    assert.ok(Array.isArray(result.families));
+  } finally {
+    pool.terminate();
+  }
+});
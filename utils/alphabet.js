@@ -0,0 +1,286 @@
+// alphabet and tableau helpers shared by every cipher operation
+
+const STANDARD_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const DIGITS = "0123456789";
+
+const ALPHABET_TYPES = [
+  "standard",
+  "gronsfeld",
+  "quagmire1",
+  "quagmire2",
+  "quagmire3",
+  "quagmire4",
+  "custom",
+];
+
+// an ordered set of symbols with fast index lookups
+const createAlphabet = (letters) => {
+  const symbols = Array.from(letters.toUpperCase());
+  const positions = new Map();
+  symbols.forEach((symbol, index) => positions.set(symbol, index));
+
+  if (positions.size !== symbols.length) {
+    throw new Error(`Alphabet "${letters}" contains repeated letters`);
+  }
+
+  const size = symbols.length;
+
+  return {
+    letters: symbols.join(""),
+    size,
+    has: (symbol) => positions.has(symbol),
+    indexOf: (symbol) => (positions.has(symbol) ? positions.get(symbol) : -1),
+    charAt: (index) => symbols[((index % size) + size) % size],
+  };
+};
+
+// keyword-mixed alphabet: keyword letters first (without repeats), then the rest in order
+const keyedAlphabet = (keyword, base = STANDARD_LETTERS) => {
+  const baseAlphabet = createAlphabet(base);
+  const seen = new Set();
+  let letters = "";
+
+  for (const symbol of Array.from(`${keyword}${base}`.toUpperCase())) {
+    if (baseAlphabet.has(symbol) && !seen.has(symbol)) {
+      seen.add(symbol);
+      letters += symbol;
+    }
+  }
+
+  return createAlphabet(letters);
+};
+
+// a tableau ties the plaintext alphabet, the ciphertext alphabet and the key symbols together
+// key letters are turned into shifts by their position in the ciphertext alphabet, counted
+// from the indicator (the plaintext letter the key letter is slid under, the first one by default)
+const createTableau = ({
+  type = "standard",
+  plain,
+  cipher,
+  indicator,
+  numeric = false,
+  keywords = {},
+}) => {
+  if (plain.size !== cipher.size) {
+    throw new Error("Plaintext and ciphertext alphabets must be the same size");
+  }
+
+  const size = plain.size;
+  const indicatorOffset = indicator
+    ? plain.indexOf(indicator.toUpperCase())
+    : 0;
+
+  if (indicatorOffset < 0) {
+    throw new Error(
+      `Indicator "${indicator}" is not in the plaintext alphabet`
+    );
+  }
+
+  return {
+    type,
+    plain,
+    cipher,
+    size,
+    numeric,
+    keywords,
+    indicator: plain.charAt(indicatorOffset),
+    // gronsfeld keys are digits, so only 10 shifts can ever be used
+    shiftCount: numeric ? DIGITS.length : size,
+    isKeySymbol: (symbol) =>
+      numeric ? DIGITS.includes(symbol) : cipher.has(symbol.toUpperCase()),
+    shiftFor: (symbol) =>
+      numeric
+        ? DIGITS.indexOf(symbol)
+        : (cipher.indexOf(symbol.toUpperCase()) - indicatorOffset + size) %
+          size,
+    keyFor: (shift) =>
+      numeric ? DIGITS[shift] : cipher.charAt(shift + indicatorOffset),
+  };
+};
+
+const STANDARD_ALPHABET = createAlphabet(STANDARD_LETTERS);
+const STANDARD_TABLEAU = createTableau({
+  plain: STANDARD_ALPHABET,
+  cipher: STANDARD_ALPHABET,
+});
+
+// check an alphabet spec coming from a request, returns an error message or null
+// quagmire keywords may be left out when cracking, they are searched for instead
+const validateAlphabetSpec = (spec, { allowMissingKeyword = false } = {}) => {
+  if (spec === undefined || spec === null) return null;
+
+  const { type } = typeof spec === "string" ? { type: spec } : spec;
+
+  if (!ALPHABET_TYPES.includes(type)) {
+    return `Unknown alphabet type, expected one of: ${ALPHABET_TYPES.join(
+      ", "
+    )}`;
+  }
+
+  const isWord = (value) =>
+    typeof value === "string" && /^[a-z]+$/i.test(value);
+
+  // the letters every alphabet of the spec is built from (A-Z when left out)
+  if (spec.base !== undefined) {
+    const { base } = spec;
+    if (typeof base !== "string" || !/^\p{L}{2,}$/u.test(base)) {
+      return "Alphabet base must be at least 2 letters";
+    }
+    if (new Set(Array.from(base.toUpperCase())).size !== base.length) {
+      return "Alphabet base must not repeat letters";
+    }
+  }
+
+  if (["quagmire1", "quagmire2", "quagmire3"].includes(type)) {
+    if (spec.keyword === undefined && allowMissingKeyword) return null;
+    if (!isWord(spec.keyword)) {
+      return `Alphabet type ${type} needs a letters-only keyword`;
+    }
+  }
+
+  if (type === "quagmire4") {
+    if (!isWord(spec.plaintextKeyword) || !isWord(spec.ciphertextKeyword)) {
+      return "Alphabet type quagmire4 needs letters-only plaintextKeyword and ciphertextKeyword";
+    }
+  }
+
+  if (type === "custom") {
+    const { plaintextAlphabet, ciphertextAlphabet = plaintextAlphabet } = spec;
+    if (typeof plaintextAlphabet !== "string") {
+      return "Alphabet type custom needs a plaintextAlphabet";
+    }
+    const sorted = (letters) =>
+      Array.from(letters.toUpperCase()).sort().join("");
+    if (
+      typeof ciphertextAlphabet !== "string" ||
+      sorted(plaintextAlphabet) !== sorted(ciphertextAlphabet)
+    ) {
+      return "Custom plaintext and ciphertext alphabets must use the same letters";
+    }
+    if (
+      new Set(Array.from(plaintextAlphabet.toUpperCase())).size !==
+      plaintextAlphabet.length
+    ) {
+      return "Custom alphabets must not repeat letters";
+    }
+  }
+
+  if (spec.indicator !== undefined && !/^[a-z]$/i.test(spec.indicator)) {
+    return "Alphabet indicator must be a single letter";
+  }
+
+  return null;
+};
+
+// quagmire I-III specs sent without a keyword ask for the mixed alphabet to be recovered
+const needsKeywordSearch = (spec) => {
+  return Boolean(
+    spec &&
+      typeof spec === "object" &&
+      ["quagmire1", "quagmire2", "quagmire3"].includes(spec.type) &&
+      !spec.keyword
+  );
+};
+
+// turn an alphabet spec (a type name or an object) into a tableau
+// specs are plain JSON so they can travel to workers, tableaus are built on each side
+const resolveAlphabet = (spec) => {
+  if (!spec) return STANDARD_TABLEAU;
+  // already resolved
+  if (typeof spec.shiftFor === "function") return spec;
+
+  const options = typeof spec === "string" ? { type: spec } : spec;
+  const { type = "standard", indicator, base = STANDARD_LETTERS } = options;
+
+  switch (type) {
+    case "standard":
+      if (base === STANDARD_LETTERS && !indicator) return STANDARD_TABLEAU;
+      return createTableau({
+        plain: createAlphabet(base),
+        cipher: createAlphabet(base),
+        indicator,
+      });
+    case "gronsfeld":
+      return createTableau({
+        type,
+        plain: createAlphabet(base),
+        cipher: createAlphabet(base),
+        numeric: true,
+      });
+    // quagmire I: keyed plaintext alphabet, straight ciphertext alphabet
+    case "quagmire1":
+      return createTableau({
+        type,
+        plain: keyedAlphabet(options.keyword, base),
+        cipher: createAlphabet(base),
+        indicator,
+        keywords: { keyword: options.keyword.toUpperCase() },
+      });
+    // quagmire II: straight plaintext alphabet, keyed ciphertext alphabet
+    case "quagmire2":
+      return createTableau({
+        type,
+        plain: createAlphabet(base),
+        cipher: keyedAlphabet(options.keyword, base),
+        indicator,
+        keywords: { keyword: options.keyword.toUpperCase() },
+      });
+    // quagmire III: the same keyed alphabet on both sides
+    case "quagmire3":
+      return createTableau({
+        type,
+        plain: keyedAlphabet(options.keyword, base),
+        cipher: keyedAlphabet(options.keyword, base),
+        indicator,
+        keywords: { keyword: options.keyword.toUpperCase() },
+      });
+    // quagmire IV: two different keyed alphabets
+    case "quagmire4":
+      return createTableau({
+        type,
+        plain: keyedAlphabet(options.plaintextKeyword, base),
+        cipher: keyedAlphabet(options.ciphertextKeyword, base),
+        indicator,
+        keywords: {
+          plaintextKeyword: options.plaintextKeyword.toUpperCase(),
+          ciphertextKeyword: options.ciphertextKeyword.toUpperCase(),
+        },
+      });
+    case "custom":
+      return createTableau({
+        type,
+        plain: createAlphabet(options.plaintextAlphabet),
+        cipher: createAlphabet(
+          options.ciphertextAlphabet || options.plaintextAlphabet
+        ),
+        indicator,
+      });
+    default:
+      throw new Error(`Unknown alphabet type: ${type}`);
+  }
+};
+
+// plain JSON description of a tableau for API responses
+const describeAlphabet = (tableau) => {
+  return {
+    type: tableau.type,
+    ...tableau.keywords,
+    plaintextAlphabet: tableau.plain.letters,
+    ciphertextAlphabet: tableau.cipher.letters,
+    indicator: tableau.indicator,
+  };
+};
+
+module.exports = {
+  createAlphabet,
+  keyedAlphabet,
+  createTableau,
+  resolveAlphabet,
+  validateAlphabetSpec,
+  needsKeywordSearch,
+  describeAlphabet,
+  STANDARD_LETTERS,
+  STANDARD_ALPHABET,
+  STANDARD_TABLEAU,
+  ALPHABET_TYPES,
+};
@@ -0,0 +1,158 @@
+// simulated annealing key search driven by n-gram fitness
+// unlike refineKey it accepts worse keys early on (while the temperature is high)
+// so it can walk out of local maxima, which matters for long keys and short texts
+const {
+  decryptWithKey,
+  findBestShifts,
+  getSequences,
+  getCipher,
+} = require("./vigenereLogic.js");
+const { ngramFitness } = require("./ngramScoring.js");
+
+const DEFAULT_SETTINGS = {
+  // starting temperature, in units of total log10 probability
+  temperature: 20,
+  // temperature reached at the end of each restart
+  finalTemperature: 0.05,
+  restarts: 5,
+  iterations: 4000,
+  timeBudget: 10000,
+  // start the first restart from the frequency analysis guess (or seedKey)
+  seeded: true,
+};
+
+// progress is reported at least this often while a restart runs, and after each restart
+const PROGRESS_INTERVAL_MS = 1000;
+// the clock is only checked every this many steps, it is not free
+const CLOCK_STEPS = 50;
+
+// settings left undefined fall back to the defaults
+const withDefaults = (settings) => {
+  const merged = { ...DEFAULT_SETTINGS };
+  for (const name in settings) {
+    if (settings[name] !== undefined) merged[name] = settings[name];
+  }
+  return merged;
+};
+
+// anneal a key of a fixed length, returns the best key seen over all restarts
+// the first restart starts from the frequency analysis guess (unless seeded is off),
+// the others from random keys
+const annealKey = (ciphertext, keyLength, options = {}, settings = {}) => {
+  const {
+    temperature,
+    finalTemperature,
+    restarts,
+    iterations,
+    timeBudget,
+    seeded,
+    seedKey,
+    random = Math.random,
+    progressCallback,
+  } = withDefaults(settings);
+  const { tableau } = getCipher(options);
+  const { fitness = "quadgram", language } = options;
+  const deadline = Date.now() + timeBudget;
+
+  // n-gram fitness ignores everything but letters, so only letters are decrypted
+  const letters = Array.from(ciphertext.toUpperCase())
+    .filter((char) => tableau.cipher.has(char))
+    .join("");
+  const scoreKey = (shifts) => {
+    const key = shifts.map((shift) => tableau.keyFor(shift)).join("");
+    return ngramFitness(
+      decryptWithKey(letters, key, options),
+      fitness,
+      language
+    ).total;
+  };
+
+  // geometric cooling from the starting to the final temperature
+  const coolingRate = Math.pow(finalTemperature / temperature, 1 / iterations);
+
+  let best = null;
+  let restartsRun = 0;
+  let totalIterations = 0;
+  let lastReport = Date.now();
+
+  const reportProgress = () => {
+    if (!progressCallback) return;
+    lastReport = Date.now();
+    progressCallback({
+      restart: restartsRun,
+      iteration: totalIterations,
+      bestKey: best.shifts.map((shift) => tableau.keyFor(shift)).join(""),
+      total: best.total,
+    });
+  };
+
+  for (
+    let restart = 0;
+    restart < restarts && Date.now() < deadline;
+    restart++
+  ) {
+    restartsRun++;
+
+    let current;
+    if (restart === 0 && seeded && seedKey && seedKey.length === keyLength) {
+      current = Array.from(seedKey).map((symbol) => tableau.shiftFor(symbol));
+    } else if (restart === 0 && seeded) {
+      current = getSequences(ciphertext, keyLength, tableau.cipher).map(
+        (seq) => findBestShifts(seq, 1, options)[0] || 0
+      );
+    } else {
+      current = Array.from({ length: keyLength }, () =>
+        Math.floor(random() * tableau.shiftCount)
+      );
+    }
+
+    let currentScore = scoreKey(current);
+    if (!best || currentScore > best.total) {
+      best = { shifts: [...current], total: currentScore };
+    }
+
+    let heat = temperature;
+    for (let step = 0; step < iterations; step++) {
+      if (step % CLOCK_STEPS === 0) {
+        const now = Date.now();
+        if (now >= deadline) break;
+        if (now - lastReport >= PROGRESS_INTERVAL_MS) reportProgress();
+      }
+      totalIterations++;
+
+      const position = Math.floor(random() * keyLength);
+      const previousShift = current[position];
+      let newShift = Math.floor(random() * (tableau.shiftCount - 1));
+      if (newShift >= previousShift) newShift++;
+
+      current[position] = newShift;
+      const candidateScore = scoreKey(current);
+      const delta = candidateScore - currentScore;
+
+      if (delta > 0 || random() < Math.exp(delta / heat)) {
+        currentScore = candidateScore;
+        if (currentScore > best.total) {
+          best = { shifts: [...current], total: currentScore };
+        }
+      } else {
+        current[position] = previousShift;
+      }
+
+      heat *= coolingRate;
+    }
+
+    reportProgress();
+  }
+
+  return {
+    key: best.shifts.map((shift) => tableau.keyFor(shift)).join(""),
+    total: best.total,
+    restarts: restartsRun,
+    iterations: totalIterations,
+  };
+};
+
+module.exports = {
+  annealKey,
+  DEFAULT_SETTINGS,
+};
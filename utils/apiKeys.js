@@ -0,0 +1,347 @@
+// apiKeys.js - API keys, their tiers and the usage counted against them
+// keys live in a local JSON store (data/apiKeys.json, or API_KEYS_FILE) that holds
+// only a hash of each key; clients without a key get the anonymous tier by IP
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { requestError, sendRequestError } = require("./validation.js");
+
+const STORE_FILE =
+  process.env.API_KEYS_FILE || path.join(__dirname, "../data/apiKeys.json");
+
+const WINDOW_MS = 15 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// requests: most metered requests per 15 minute window (0 for no limit)
+// cpuMsPerDay: most worker time the client's cracks may use per UTC day (0 for no limit)
+// highPriority: whether the client's tasks may jump the queue with priority "high"
+const TIERS = {
+  anonymous: { requests: 20, cpuMsPerDay: 2 * MINUTE_MS, highPriority: false },
+  free: { requests: 100, cpuMsPerDay: 10 * MINUTE_MS, highPriority: true },
+  pro: { requests: 1000, cpuMsPerDay: 120 * MINUTE_MS, highPriority: true },
+  internal: { requests: 0, cpuMsPerDay: 0, highPriority: true },
+  // internal limits, and access to the admin routes
+  admin: { requests: 0, cpuMsPerDay: 0, highPriority: true },
+};
+
+// anonymous usage is kept in memory only, stale entries go once there are this many
+const MAX_ANONYMOUS_CLIENTS = 10000;
+
+// save usage at most this often, counters change on every request
+const SAVE_DELAY_MS = 5000;
+
+let store = null;
+let keysByHash = new Map();
+const anonymousUsage = new Map();
+let saveTimer = null;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const loadStore = () => {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read ${STORE_FILE}:`, error.message);
+    }
+    store = {};
+  }
+  store.keys = store.keys || [];
+  store.usage = store.usage || {};
+  keysByHash = new Map(store.keys.map((record) => [record.hash, record]));
+  return store;
+};
+
+const saveStore = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!store) return;
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+  // written aside and renamed, a crash never leaves half a store
+  fs.writeFileSync(`${STORE_FILE}.tmp`, JSON.stringify(store, null, 2));
+  fs.renameSync(`${STORE_FILE}.tmp`, STORE_FILE);
+};
+
+const scheduleSave = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveStore, SAVE_DELAY_MS);
+  saveTimer.unref();
+};
+
+process.on("exit", () => {
+  if (saveTimer) saveStore();
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// usage of a client, the request window and the CPU day start over when they pass
+const usageOf = (clientId) => {
+  const anonymous = clientId.startsWith("ip:");
+  const usage = anonymous
+    ? anonymousUsage.get(clientId)
+    : loadStore().usage[clientId];
+  const now = Date.now();
+
+  if (!usage) {
+    const fresh = {
+      windowStart: now,
+      requests: 0,
+      day: today(),
+      cpuMs: 0,
+      totalRequests: 0,
+      totalCpuMs: 0,
+      lastUsedAt: null,
+    };
+    if (anonymous) {
+      pruneAnonymousUsage();
+      anonymousUsage.set(clientId, fresh);
+    } else {
+      store.usage[clientId] = fresh;
+    }
+    return fresh;
+  }
+
+  if (now - usage.windowStart >= WINDOW_MS) {
+    usage.windowStart = now;
+    usage.requests = 0;
+  }
+  if (usage.day !== today()) {
+    usage.day = today();
+    usage.cpuMs = 0;
+  }
+  return usage;
+};
+
+const pruneAnonymousUsage = () => {
+  if (anonymousUsage.size < MAX_ANONYMOUS_CLIENTS) return;
+  const now = Date.now();
+  for (const [clientId, usage] of anonymousUsage) {
+    if (now - usage.windowStart >= WINDOW_MS && usage.day !== today()) {
+      anonymousUsage.delete(clientId);
+    }
+  }
+};
+
+// the key a request carries: X-API-Key, or Authorization: Bearer <key>
+const readKey = (req) => {
+  const header = req.get("X-API-Key");
+  if (header) return header;
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+};
+
+const findKey = (key) => {
+  loadStore();
+  const record = keysByHash.get(hashKey(key));
+  return record && !record.revoked ? record : null;
+};
+
+/**
+ ********************* key management
+ */
+
+// returns the record and the key itself, which is shown only this once
+const createKey = ({ name, tier }) => {
+  loadStore();
+  const key = `vk_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name,
+    tier,
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    revoked: false,
+  };
+  store.keys.push(record);
+  keysByHash.set(record.hash, record);
+  saveStore();
+  return { key, record };
+};
+
+// returns false when there is no such key
+const revokeKey = (id) => {
+  const record = loadStore().keys.find((candidate) => candidate.id === id);
+  if (!record) return false;
+  record.revoked = true;
+  saveStore();
+  return true;
+};
+
+// the keys without their hashes, with usage and tier limits
+const listUsage = () => {
+  return loadStore().keys.map(({ hash, ...record }) => {
+    const usage = usageOf(record.id);
+    const limits = TIERS[record.tier];
+    return {
+      ...record,
+      limits: { ...limits, windowMs: WINDOW_MS },
+      window: {
+        requests: usage.requests,
+        resetsAt: new Date(usage.windowStart + WINDOW_MS).toISOString(),
+      },
+      cpu: { day: usage.day, cpuMs: usage.cpuMs },
+      totalRequests: usage.totalRequests,
+      totalCpuMs: usage.totalCpuMs,
+      lastUsedAt: usage.lastUsedAt,
+    };
+  });
+};
+
+// whether the client's worker time for the day is used up, the worker pool
+// stops the client's running tasks and refuses new ones then
+const isOverCpuQuota = (clientId) => {
+  if (typeof clientId !== "string") return false;
+  let tier = "anonymous";
+  if (!clientId.startsWith("ip:")) {
+    const record = loadStore().keys.find(
+      (candidate) => candidate.id === clientId
+    );
+    if (!record) return false;
+    tier = record.tier;
+  }
+  const { cpuMsPerDay } = TIERS[tier];
+  return cpuMsPerDay > 0 && usageOf(clientId).cpuMs >= cpuMsPerDay;
+};
+
+// charge a client for worker time (the worker pool calls this as its tasks run)
+const recordCpuTime = (clientId, ms) => {
+  if (typeof clientId !== "string") return;
+  const usage = usageOf(clientId);
+  usage.cpuMs += ms;
+  usage.totalCpuMs += ms;
+  if (!clientId.startsWith("ip:")) scheduleSave();
+};
+
+/**
+ ********************* middleware
+ */
+
+// identify the client (req.apiClient) and count the request against its tier
+// reads (GET) aren't metered: status checks and job polling stay free
+const authenticate = (req, res, next) => {
+  const key = readKey(req);
+  const record = key && findKey(key);
+  if (key && !record) {
+    return sendRequestError(
+      res,
+      requestError(
+        "invalid_api_key",
+        "X-API-Key",
+        "Unknown or revoked API key"
+      ),
+      401
+    );
+  }
+  req.apiClient = record
+    ? { id: record.id, name: record.name, tier: record.tier }
+    : { id: `ip:${req.ip}`, tier: "anonymous" };
+
+  if (req.method === "GET") return next();
+
+  const usage = usageOf(req.apiClient.id);
+  const { requests: limit } = TIERS[req.apiClient.tier];
+  const resetSeconds = Math.ceil(
+    (usage.windowStart + WINDOW_MS - Date.now()) / 1000
+  );
+
+  if (limit > 0) {
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - usage.requests - 1)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (usage.requests >= limit) {
+      res.set("Retry-After", String(resetSeconds));
+      return sendRequestError(
+        res,
+        requestError(
+          "rate_limited",
+          null,
+          `The ${req.apiClient.tier} tier allows ${limit} requests per 15 minutes`
+        ),
+        429
+      );
+    }
+  }
+
+  usage.requests++;
+  usage.totalRequests++;
+  usage.lastUsedAt = new Date().toISOString();
+  if (record) scheduleSave();
+  return next();
+};
+
+// refuse a crack once the client's worker time for the day is used up
+const requireCpuQuota = (req, res, next) => {
+  const { id, tier } = req.apiClient;
+  const { cpuMsPerDay } = TIERS[tier];
+  const usage = usageOf(id);
+
+  if (cpuMsPerDay > 0 && usage.cpuMs >= cpuMsPerDay) {
+    const midnight = new Date(`${usage.day}T00:00:00Z`).getTime() + 86400000;
+    res.set("Retry-After", String(Math.ceil((midnight - Date.now()) / 1000)));
+    return sendRequestError(
+      res,
+      requestError(
+        "cpu_quota_exceeded",
+        null,
+        `The ${tier} tier allows ${
+          cpuMsPerDay / 1000
+        } seconds of cracking per day`
+      ),
+      429
+    );
+  }
+  return next();
+};
+
+// a high priority from a tier without it is ignored, the task gets its usual priority
+// (anyone could send it, the queue wouldn't be fair to the others)
+const limitPriority = (req, res, next) => {
+  if (
+    req.body &&
+    req.body.priority === "high" &&
+    !TIERS[req.apiClient.tier].highPriority
+  ) {
+    delete req.body.priority;
+  }
+  return next();
+};
+
+// anonymous clients share IPs, so what they'd store couldn't be told apart
+const requireApiKey = (req, res, next) => {
+  if (req.apiClient.tier === "anonymous") {
+    return sendRequestError(
+      res,
+      requestError("api_key_required", "X-API-Key", "An API key is required"),
+      401
+    );
+  }
+  return next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.apiClient.tier !== "admin") {
+    return sendRequestError(
+      res,
+      requestError("forbidden", "X-API-Key", "An admin API key is required"),
+      403
+    );
+  }
+  return next();
+};
+
+module.exports = {
+  TIERS,
+  createKey,
+  revokeKey,
+  listUsage,
+  recordCpuTime,
+  isOverCpuQuota,
+  authenticate,
+  limitPriority,
+  requireCpuQuota,
+  requireApiKey,
+  requireAdmin,
+};
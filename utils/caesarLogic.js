@@ -0,0 +1,84 @@
+// caesar and ROT-N: a key of one letter, every shift is simply tried and ranked
+const {
+  decryptWithKey,
+  scoreDecryption,
+  getCipher,
+} = require("./vigenereLogic.js");
+
+// ROT47 rotates the printable ASCII characters "!" (33) to "~" (126)
+const ASCII_FIRST = 33;
+const ASCII_COUNT = 94;
+
+// the fixed shifts of the ROT modes (caesar is 3, but any shift is a "caesar")
+const ROT_MODES = {
+  rot13: { shift: 13, charset: "letters" },
+  rot47: { shift: 47, charset: "ascii" },
+};
+
+// shift every printable ASCII character back by shift places, other characters stay
+const rotateAscii = (text, shift) => {
+  let result = "";
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code >= ASCII_FIRST && code < ASCII_FIRST + ASCII_COUNT) {
+      const offset =
+        (code - ASCII_FIRST - (shift % ASCII_COUNT) + ASCII_COUNT) %
+        ASCII_COUNT;
+      result += String.fromCharCode(ASCII_FIRST + offset);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+};
+
+// undo a shift: letters go through the vigenere logic with a one letter key,
+// the ascii charset rotates every printable character
+const caesarDecrypt = (
+  text,
+  shift,
+  { charset = "letters", ...options } = {}
+) => {
+  if (charset === "ascii") return rotateAscii(text, shift);
+  const { tableau } = getCipher(options);
+  return decryptWithKey(text, tableau.keyFor(shift), options);
+};
+
+// number of distinct shifts of a charset
+const shiftCount = ({ charset = "letters", ...options } = {}) => {
+  return charset === "ascii" ? ASCII_COUNT : getCipher(options).tableau.size;
+};
+
+/**
+ * Try every shift and rank them with the shared fitness functions
+ * @param {string} ciphertext - The encrypted text
+ * @param {Object} options - charset ("letters" or "ascii"), dictionary, previewLength
+ *                           and the cipher options (alphabet, language, fitness)
+ * @returns {Array} - Every shift with its key, scores and preview, best first
+ */
+const rankShifts = (ciphertext, options = {}) => {
+  const { dictionary = {}, previewLength = 100, charset = "letters" } = options;
+  const { tableau } = getCipher(options);
+  const shifts = [];
+
+  for (let shift = 0; shift < shiftCount(options); shift++) {
+    const decrypted = caesarDecrypt(ciphertext, shift, options);
+    shifts.push({
+      shift,
+      // ascii shifts have no key letter
+      key: charset === "ascii" ? null : tableau.keyFor(shift),
+      ...scoreDecryption(decrypted, dictionary, options),
+      preview: decrypted.substring(0, previewLength),
+    });
+  }
+
+  // sort by fitness score (higher is better)
+  return shifts.sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  ROT_MODES,
+  caesarDecrypt,
+  rankShifts,
+  shiftCount,
+};
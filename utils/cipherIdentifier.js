@@ -0,0 +1,229 @@
+// cipherIdentifier.js - score the cipher families a text most likely belongs to,
+// so a crack isn't run (and a confident looking key returned) for the wrong cipher
+const {
+  calculateIC,
+  getFrequencies,
+  calculateChiSquared,
+  getSequences,
+  VARIANTS,
+} = require("./vigenereLogic.js");
+const { rankKeyLengths } = require("./kasiski.js");
+const { STANDARD_ALPHABET } = require("./alphabet.js");
+const { resolveLanguage, getLanguageFrequencies } = require("./languages.js");
+const { TRANSPOSITION_CHI_SQUARED, icRatio } = require("./textAnalysis.js");
+
+// families a periodic key crack (what /crack runs) can solve
+const PERIODIC_FAMILIES = ["vigenere", "beaufort", "caesar"];
+// below this many letters every statistic is noise
+const MIN_LETTERS = 40;
+// columns with fewer letters than this give an IC too noisy to call a period
+const MIN_COLUMN_LETTERS = 8;
+
+// encodings recognised by their character set alone, checked on the text as
+// given: spaces between words would otherwise turn letters into "base64"
+const ENCODINGS = {
+  // groups of bits may be spaced out
+  binary: (text) =>
+    /^[01]+(\s+[01]+)*$/.test(text) &&
+    text.replace(/\s+/g, "").length % 8 === 0,
+  hex: (text) =>
+    /^[0-9A-Fa-f]+(\s+[0-9A-Fa-f]+)*$/.test(text) &&
+    text.replace(/\s+/g, "").length % 2 === 0,
+  morse: (text) => /^[.\-/|\s]+$/.test(text) && /[.-]/.test(text),
+  // letters alone are more likely a cipher: base64 needs a digit, + / or = padding
+  base64: (text) =>
+    /^[A-Za-z0-9+/]+={0,2}$/.test(text) &&
+    text.length % 4 === 0 &&
+    /[a-z]/.test(text) &&
+    /[0-9+/=]/.test(text),
+};
+const ENCODING_FAMILIES = Object.keys(ENCODINGS);
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// how close letter frequencies are to the language (1) or far from it (0)
+const closeness = (chiSquared) =>
+  clamp(1 - chiSquared / TRANSPOSITION_CHI_SQUARED);
+
+// lowest chi-squared any single shift of a variant gives a column
+const bestShiftChiSquared = (column, cipher, expectedFrequencies) => {
+  const { size } = STANDARD_ALPHABET;
+  let best = Infinity;
+  for (let shift = 0; shift < size; shift++) {
+    let decrypted = "";
+    for (const letter of column) {
+      decrypted += STANDARD_ALPHABET.charAt(
+        cipher.decrypt(STANDARD_ALPHABET.indexOf(letter), shift, size)
+      );
+    }
+    best = Math.min(
+      best,
+      calculateChiSquared(
+        getFrequencies(decrypted, STANDARD_ALPHABET),
+        expectedFrequencies
+      )
+    );
+  }
+  return best;
+};
+
+// average best-shift chi-squared over the columns of a key length
+const variantChiSquared = (
+  letters,
+  keyLength,
+  variant,
+  expectedFrequencies
+) => {
+  const columns = getSequences(letters, keyLength, STANDARD_ALPHABET);
+  return (
+    columns.reduce(
+      (sum, column) =>
+        sum +
+        bestShiftChiSquared(column, VARIANTS[variant], expectedFrequencies),
+      0
+    ) / keyLength
+  );
+};
+
+// playfair encrypts letter pairs: an even letter count, never a doubled letter
+// inside a pair and at most 25 letters (I and J share a square)
+const playfairShape = (letters) => {
+  if (letters.length % 2 !== 0) return false;
+  for (let i = 0; i < letters.length; i += 2) {
+    if (letters[i] === letters[i + 1]) return false;
+  }
+  return new Set(letters).size <= 25;
+};
+
+/**
+ * Score the cipher families of a text, the scores add up to 1
+ * @param {string} text - The ciphertext
+ * @param {Object} options - language the plaintext is expected in, maxKeyLength for the period search
+ * @returns {Object} - best family, every family with its score, the features used
+ *                     and periodicLikelihood: how likely a periodic key crack applies
+ */
+const identifyCipher = (text, options = {}) => {
+  const { language, maxKeyLength = 20 } = options;
+  const profile = resolveLanguage(language);
+  const expectedFrequencies = getLanguageFrequencies(
+    profile,
+    STANDARD_ALPHABET
+  );
+
+  const compact = text.replace(/\s+/g, "");
+  const letters = Array.from(compact.toUpperCase())
+    .filter((char) => STANDARD_ALPHABET.has(char))
+    .join("");
+  const digits = (compact.match(/[0-9]/g) || []).length;
+
+  const randomIC = 1 / STANDARD_ALPHABET.size;
+  const ic = calculateIC(letters, STANDARD_ALPHABET);
+  const textRatio = icRatio(ic, randomIC, profile.expectedIC);
+  const plainChiSquared = calculateChiSquared(
+    getFrequencies(letters, STANDARD_ALPHABET),
+    expectedFrequencies
+  );
+  const shiftChiSquared = letters
+    ? variantChiSquared(letters, 1, "vigenere", expectedFrequencies)
+    : Infinity;
+
+  // the Kasiski / Friedman / IC ranking, for lengths whose columns are long enough
+  const ranking = rankKeyLengths(letters, maxKeyLength, {
+    alphabet: STANDARD_ALPHABET,
+    language: profile,
+  });
+  const period = ranking.candidates.find(
+    (candidate) =>
+      candidate.length > 1 &&
+      letters.length / candidate.length >= MIN_COLUMN_LETTERS
+  );
+  const periodRatio = period
+    ? icRatio(period.avgIC, randomIC, profile.expectedIC)
+    : 0;
+
+  // vigenere and beaufort columns are shifted and reversed alphabets,
+  // whichever brings the columns closer to the language is the better fit
+  let vigenereShare = 0.5;
+  if (period && periodRatio > 0.3) {
+    const vigenere = variantChiSquared(
+      letters,
+      period.length,
+      "vigenere",
+      expectedFrequencies
+    );
+    const beaufort = variantChiSquared(
+      letters,
+      period.length,
+      "beaufort",
+      expectedFrequencies
+    );
+    vigenereShare = beaufort / (vigenere + beaufort);
+  }
+
+  const encoding = ENCODING_FAMILIES.find((name) =>
+    ENCODINGS[name](text.trim())
+  );
+  // letter ciphers only produce letters (and keep the punctuation)
+  const letterShare = compact.length ? letters.length / compact.length : 0;
+  const letterWeight = encoding ? 0 : letterShare * letterShare;
+  // one alphabet has the same IC in the columns as overall, a periodic key
+  // only reaches the language IC once the text is split into its columns
+  const periodGain =
+    textRatio < 1 ? clamp((periodRatio - textRatio) / (1 - textRatio)) : 0;
+  const single = textRatio * (1 - periodGain);
+  const periodic = periodGain * periodRatio;
+
+  const raw = {
+    caesar:
+      single * closeness(shiftChiSquared) * (1 - closeness(plainChiSquared)),
+    substitution: single * (1 - closeness(shiftChiSquared)),
+    transposition: single * closeness(plainChiSquared),
+    vigenere: periodic * vigenereShare,
+    beaufort: periodic * (1 - vigenereShare),
+    // pairs of letters flatten the IC about halfway to random
+    playfair:
+      letters.length >= MIN_LETTERS && playfairShape(letters)
+        ? clamp(1 - Math.abs(textRatio - 0.4) * 2)
+        : 0,
+    random: (1 - textRatio) * (1 - periodRatio) * 0.5,
+  };
+  for (const family in raw) raw[family] *= letterWeight;
+  for (const name in ENCODINGS) raw[name] = name === encoding ? 1 : 0;
+
+  const total = Object.values(raw).reduce((sum, value) => sum + value, 0);
+  const families = Object.keys(raw)
+    .map((family) => ({
+      family,
+      score: total > 0 ? raw[family] / total : 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    best: families[0].family,
+    families,
+    periodicLikelihood: families
+      .filter(({ family }) => PERIODIC_FAMILIES.includes(family))
+      .reduce((sum, { score }) => sum + score, 0),
+    reliable: letters.length >= MIN_LETTERS || Boolean(encoding),
+    features: {
+      length: compact.length,
+      letterCount: letters.length,
+      digitCount: digits,
+      distinctLetters: new Set(letters).size,
+      evenLength: letters.length % 2 === 0,
+      ic,
+      plainChiSquared,
+      shiftChiSquared,
+      period: period ? period.length : null,
+      periodIC: period ? period.avgIC : null,
+      friedmanEstimate: ranking.friedman.estimate,
+      encoding: encoding || null,
+    },
+  };
+};
+
+module.exports = {
+  PERIODIC_FAMILIES,
+  ENCODING_FAMILIES,
+  identifyCipher,
+};
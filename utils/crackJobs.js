@@ -0,0 +1,150 @@
+// crackJobs.js - the worker pool and job registry every cipher's cracks run on,
+// and the helpers that answer crack requests
+const path = require("path");
+const { createWorkerPool } = require("./workerPool.js");
+const { createJobRegistry } = require("./jobRegistry.js");
+const { reloadDatasets, watchDatasets } = require("./datasets.js");
+const { recordCpuTime, isOverCpuQuota } = require("./apiKeys.js");
+const { createResultCache } = require("./resultCache.js");
+const { requestError, sendRequestError } = require("./validation.js");
+
+const WORKER_COUNT = Math.max(4, require("os").cpus().length - 1);
+// workers crack for every cipher plugin, each task names its cipher
+const workerPath = path.resolve(__dirname, "../workers/cipherWorker.js");
+// a crack running longer than TASK_TIMEOUT_MS has its worker killed and replaced
+// and at most MAX_QUEUE_SIZE tasks wait for a worker, more get a 503
+// the CPU time of every task counts against its client's CPU quota, and a client's
+// tasks stop once it is used up
+const workerPool = createWorkerPool(workerPath, WORKER_COUNT, {
+  taskTimeout: parseInt(process.env.TASK_TIMEOUT_MS) || 5 * 60 * 1000,
+  maxQueueSize: parseInt(process.env.MAX_QUEUE_SIZE) || 50,
+  onTaskTime: recordCpuTime,
+  isOverBudget: isOverCpuQuota,
+});
+
+// crack results by ciphertext and options, RESULT_CACHE_DIR keeps them across restarts
+const resultCache = createResultCache({
+  maxEntries: parseInt(process.env.RESULT_CACHE_SIZE) || 500,
+  ttl: parseInt(process.env.RESULT_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+  dir: process.env.RESULT_CACHE_DIR || null,
+});
+
+// datasets are loaded once per thread (workers load their own copy when they start)
+// and reloaded everywhere when the files change, results scored with them are dropped
+reloadDatasets();
+watchDatasets(() => {
+  console.log("Datasets changed, reloading");
+  reloadDatasets();
+  workerPool.broadcast({ type: "reload" });
+  resultCache.clear();
+});
+
+// clients are told apart by API key when they send one, by IP otherwise
+// (see authenticate in apiKeys.js)
+const getClientId = (req) =>
+  req.apiClient ? req.apiClient.id : `ip:${req.ip}`;
+
+const sendBusy = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return sendRequestError(
+    res,
+    requestError("busy", null, "Server is busy, please retry later"),
+    503,
+    { retryAfter }
+  );
+};
+
+// crack jobs, finished ones are kept for JOB_TTL_MS so async callers can fetch them
+const jobs = createJobRegistry({
+  ttl: parseInt(process.env.JOB_TTL_MS) || 15 * 60 * 1000,
+});
+
+// answer at once with the job id for async callers, otherwise wait for the result
+const respondWithJob = async (req, res, job, runAsync) => {
+  // async jobs answer at once, the result is fetched from GET /jobs/:id
+  if (runAsync) {
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
+  }
+
+  // synchronous callers can still cancel through DELETE /jobs/:id
+  res.set("X-Job-Id", job.id);
+  const response = await job.promise;
+  return res.json(response);
+};
+
+// a request refused by a check that runs inside its job (e.g. on the worker pool),
+// answered with the error envelope like the checks made before the job starts
+const jobRequestError = (error, status = 400, extra = {}) => {
+  const jobError = new Error(error.message);
+  jobError.name = "RequestError";
+  Object.assign(jobError, { requestError: error, status, extra });
+  return jobError;
+};
+
+// map the errors a crack job can end with to a response
+const sendCrackError = (res, error, message) => {
+  if (error.name === "RequestError") {
+    return sendRequestError(res, error.requestError, error.status, error.extra);
+  }
+
+  if (error.name === "AbortError") {
+    return sendRequestError(
+      res,
+      requestError("cancelled", null, "Crack job was cancelled"),
+      409
+    );
+  }
+
+  if (error.name === "QueueFullError") {
+    return sendBusy(res, error.retryAfter);
+  }
+
+  if (error.name === "QuotaExceededError") {
+    return sendRequestError(
+      res,
+      requestError(
+        "cpu_quota_exceeded",
+        null,
+        "The CPU quota for the day was used up during the crack"
+      ),
+      429
+    );
+  }
+
+  if (error.name === "TimeoutError") {
+    return sendRequestError(
+      res,
+      requestError(
+        "timeout",
+        null,
+        `Cipher cracking timed out: ${error.message}`
+      ),
+      504
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({ error: message, message: error.message });
+};
+
+process.on("exit", () => {
+  if (workerPool.terminate) {
+    workerPool.terminate();
+  }
+});
+
+module.exports = {
+  WORKER_COUNT,
+  workerPool,
+  resultCache,
+  jobs,
+  getClientId,
+  sendBusy,
+  respondWithJob,
+  jobRequestError,
+  sendCrackError,
+};
@@ -0,0 +1,174 @@
+// split one crack task into shards that run on separate workers, and merge their results
+// cryptanalysis is split by key length, brute force by slices of the known keys,
+// the dictionary attack by slices of its wordlist and annealing by restarts
+// (every shard anneals the same key lengths)
+const { resolveAlphabet, needsKeywordSearch } = require("./alphabet.js");
+const { rankKeyLengths } = require("./kasiski.js");
+const { DEFAULT_SETTINGS } = require("./annealing.js");
+const { getKnownKeys, getWordlist } = require("./datasets.js");
+
+// a brute force slice smaller than this isn't worth a worker round trip
+const MIN_KEYS_PER_SHARD = 200;
+// the same cap the brute force crack puts on its own top results
+const MAX_TOP_RESULTS = 5000;
+
+// split a list into at most count parts of (almost) equal size, keeping the order
+const splitList = (list, count) => {
+  const parts = [];
+  const size = Math.ceil(list.length / count);
+  for (let i = 0; i < list.length; i += size) {
+    parts.push(list.slice(i, i + size));
+  }
+  return parts;
+};
+
+// split 0..length into at most count [start, end) ranges
+const splitRange = (length, count) => {
+  const size = Math.ceil(length / count);
+  const ranges = [];
+  for (let start = 0; start < length; start += size) {
+    ranges.push([start, Math.min(length, start + size)]);
+  }
+  return ranges;
+};
+
+// the key lengths the worker would try by itself, so shards cover the same ground
+const candidateKeyLengths = (task) => {
+  if (task.variant === "autokey") {
+    return Array.from({ length: task.maxKeyLength }, (_, i) => i + 1);
+  }
+
+  return rankKeyLengths(task.ciphertext, task.maxKeyLength, {
+    alphabet: resolveAlphabet(task.alphabet).cipher,
+    language: task.language,
+  })
+    .candidates.slice(0, 3)
+    .map((candidate) => candidate.length);
+};
+
+// the quagmire keyword search picks its own alphabets, and refining a seed key
+// follows a single path, neither is split
+const isSplittable = (task, shardCount) =>
+  shardCount >= 2 &&
+  !needsKeywordSearch(task.alphabet) &&
+  task.method !== "refine";
+
+// whether planShards needs the candidate key lengths, cryptanalysis and annealing
+// shards split or share them (the ranking is heavy, it runs as a worker task)
+const needsKeyLengths = (task, shardCount) =>
+  isSplittable(task, shardCount) &&
+  task.method !== "brute-force" &&
+  task.method !== "dictionary";
+
+// returns the tasks to run, a single task when the crack can't (or needn't) be split
+// keyLengths: the candidateKeyLengths of the task when needsKeyLengths says so
+const planShards = (task, shardCount, keyLengths = null) => {
+  if (!isSplittable(task, shardCount)) return [task];
+
+  // workers hold the known keys themselves, shards only get index ranges
+  if (task.method === "brute-force") {
+    const keyCount = getKnownKeys().length;
+    const count = Math.min(
+      shardCount,
+      Math.floor(keyCount / MIN_KEYS_PER_SHARD)
+    );
+    if (count < 2) return [task];
+    return splitRange(keyCount, count).map((knownKeyRange) => ({
+      ...task,
+      knownKeyRange,
+    }));
+  }
+
+  // the dictionary attack is split by the words its candidates grow from
+  if (task.method === "dictionary") {
+    const words = task.wordlist
+      ? getWordlist(task.wordlistOwner, task.wordlist)
+      : getKnownKeys();
+    const wordCount = words ? words.length : 0;
+    const count = Math.min(
+      shardCount,
+      Math.floor(wordCount / MIN_KEYS_PER_SHARD)
+    );
+    if (count < 2) return [task];
+    return splitRange(wordCount, count).map((wordRange) => ({
+      ...task,
+      wordRange,
+    }));
+  }
+
+  if (task.method === "anneal") {
+    const restarts = task.anneal.restarts || DEFAULT_SETTINGS.restarts;
+    const count = Math.min(shardCount, restarts);
+    if (count < 2) return [task];
+    // only the first shard starts from the frequency analysis guess
+    return Array.from({ length: count }, (_, index) => ({
+      ...task,
+      keyLengths,
+      anneal: {
+        ...task.anneal,
+        restarts:
+          Math.floor(restarts / count) + (index < restarts % count ? 1 : 0),
+        seeded: index === 0,
+      },
+    }));
+  }
+
+  if (keyLengths.length < 2) return [task];
+  return splitList(keyLengths, Math.min(shardCount, keyLengths.length)).map(
+    (lengths) => ({ ...task, keyLengths: lengths })
+  );
+};
+
+// merge the shard results into the shape of a single worker result
+// the shard holding the best key provides the full decryption and the method
+const mergeShardResults = (results) => {
+  if (results.length === 1) return results[0];
+
+  const found = results
+    .filter((result) => result.topResults && result.topResults.length > 0)
+    .sort((a, b) => b.topResults[0].score - a.topResults[0].score);
+  if (found.length === 0) return results[0];
+
+  let topResults = found.flatMap((result) => result.topResults);
+
+  // annealing shards try the same key lengths, keep the best key of each length
+  if (found[0].method === "anneal") {
+    const byLength = new Map();
+    for (const entry of topResults) {
+      const kept = byLength.get(entry.keyLength);
+      if (!kept) {
+        byLength.set(entry.keyLength, { ...entry });
+        continue;
+      }
+      const merged = entry.score > kept.score ? { ...entry } : kept;
+      merged.restarts = kept.restarts + entry.restarts;
+      merged.iterations = kept.iterations + entry.iterations;
+      byLength.set(entry.keyLength, merged);
+    }
+    topResults = [...byLength.values()];
+  }
+
+  // sort by fitness score (higher is better)
+  topResults.sort((a, b) => b.score - a.score);
+
+  // refinement in different shards can land on the same key, list it once
+  const seen = new Set();
+  topResults = topResults.filter((entry) => {
+    if (seen.has(entry.key)) return false;
+    seen.add(entry.key);
+    return true;
+  });
+
+  return {
+    ...found[0],
+    topResults: topResults.slice(0, MAX_TOP_RESULTS),
+    shards: results.length,
+  };
+};
+
+module.exports = {
+  candidateKeyLengths,
+  needsKeyLengths,
+  planShards,
+  mergeShardResults,
+};
@@ -0,0 +1,294 @@
+// known plaintext (crib) attack: a word known to be in the message gives the key letters
+// under it directly, a crib longer than the key even shows the whole key repeating
+const {
+  getCipher,
+  getSequences,
+  findBestShifts,
+  decryptWithKey,
+  scoreDecryption,
+} = require("./vigenereLogic.js");
+const { rankKeyLengths } = require("./kasiski.js");
+
+// shorter cribs fit almost anywhere and say nothing about the key
+const MIN_CRIB_LENGTH = 3;
+// placements that get a full decryption and scoring, after the cheap ranking
+const MAX_SCORED_CANDIDATES = 60;
+// cribs of one attack, and the letters of one crib
+const MAX_CRIBS = 5;
+const MAX_CRIB_LENGTH = 100;
+// letter positions a crib without a position is slid over, from the start of the text
+const MAX_SLIDE_POSITIONS = 20000;
+// placements kept per crib for the combination step, the best ranked ones
+const MAX_CANDIDATES_PER_CRIB = 500;
+
+// the shift that encrypts plain index p to cipher index c, or -1 when there is none
+// (gronsfeld only has 10 shifts, so some letter pairs can't occur)
+const shiftBetween = (p, c, cipher, tableau) => {
+  for (let shift = 0; shift < tableau.shiftCount; shift++) {
+    if (cipher.encrypt(p, shift, tableau.size) === c) return shift;
+  }
+  return -1;
+};
+
+// key shifts under a crib placed at a letter position, null when it can't be there
+const deriveFragment = (letters, crib, position, cipher, tableau) => {
+  const fragment = [];
+  for (let i = 0; i < crib.length; i++) {
+    const shift = shiftBetween(
+      tableau.plain.indexOf(crib[i]),
+      tableau.cipher.indexOf(letters[position + i]),
+      cipher,
+      tableau
+    );
+    if (shift === -1) return null;
+    fragment.push(shift);
+  }
+  return fragment;
+};
+
+// shortest period the fragment repeats with (repeating at least twice), or 0
+const fragmentPeriod = (fragment, maxKeyLength) => {
+  for (
+    let length = 1;
+    length <= Math.min(maxKeyLength, fragment.length - 2);
+    length++
+  ) {
+    let periodic = true;
+    for (let i = length; i < fragment.length && periodic; i++) {
+      periodic = fragment[i] === fragment[i - length];
+    }
+    if (periodic) return length;
+  }
+  return 0;
+};
+
+// spread a fragment over a key of the given length, null when it contradicts itself
+const pinKey = (fragment, position, keyLength) => {
+  const pinned = new Array(keyLength).fill(-1);
+  for (let i = 0; i < fragment.length; i++) {
+    const column = (position + i) % keyLength;
+    if (pinned[column] !== -1 && pinned[column] !== fragment[i]) return null;
+    pinned[column] = fragment[i];
+  }
+  return pinned;
+};
+
+// a key that just repeats a shorter one is written as the shorter one
+const shortestPeriod = (key) => {
+  for (let length = 1; length < key.length; length++) {
+    if (key.length % length !== 0) continue;
+    if (key.slice(length) === key.slice(0, -length))
+      return key.slice(0, length);
+  }
+  return key;
+};
+
+// per column of a key length: every shift's frequency score and the best shift
+// lower scores fit the language better (see findBestShifts)
+const columnStats = (ciphertext, keyLength, options) => {
+  const { tableau } = getCipher(options);
+  return getSequences(ciphertext, keyLength, tableau.cipher).map((sequence) => {
+    const ranked = findBestShifts(sequence, tableau.shiftCount, options);
+    const rank = new Array(tableau.shiftCount);
+    ranked.forEach((shift, index) => (rank[shift] = index));
+    return { best: ranked[0], rank };
+  });
+};
+
+/**
+ * Recover key candidates from one or more cribs
+ * @param {string} ciphertext - The encrypted text
+ * @param {Array} cribs - { text, position } pairs, position is a letter offset or undefined to slide the crib
+ * @param {Object} options - maxKeyLength, limit, dictionary and the cipher options (variant, alphabet, language, fitness)
+ * @returns {Object} - Ranked candidates with their decryptions and the placements tried
+ */
+const cribAttack = (ciphertext, cribs, options = {}) => {
+  const { maxKeyLength = 20, limit = 10, dictionary = {} } = options;
+  const { cipher, tableau } = getCipher(options);
+  const letters = Array.from(ciphertext.toUpperCase()).filter((char) =>
+    tableau.cipher.has(char)
+  );
+
+  // likely key lengths for cribs shorter than the key, the crib only pins some columns
+  const likelyLengths = rankKeyLengths(ciphertext, maxKeyLength, {
+    alphabet: tableau.cipher,
+    language: options.language,
+  })
+    .candidates.slice(0, 3)
+    .map((candidate) => candidate.length);
+
+  const stats = new Map();
+  const statsFor = (keyLength) => {
+    if (!stats.has(keyLength)) {
+      stats.set(keyLength, columnStats(ciphertext, keyLength, options));
+    }
+    return stats.get(keyLength);
+  };
+
+  // cribs are matched on the letters only, like the ciphertext
+  const plainLetters = (text) =>
+    Array.from(text.toUpperCase())
+      .filter((char) => tableau.plain.has(char))
+      .join("");
+  const cleanCribs = cribs.map(({ text, position }) => ({
+    crib: plainLetters(text),
+    position,
+  }));
+
+  // fill the columns no crib reaches by frequency analysis, the columns a crib
+  // does reach tell how well it agrees with the frequencies (average rank, 0 is best)
+  const completeKey = (pinned, keyLength) => {
+    const columns = statsFor(keyLength);
+    let disagreement = 0;
+    let count = 0;
+    const shifts = pinned.map((shift, column) => {
+      if (shift === -1) return columns[column].best;
+      disagreement += columns[column].rank[shift];
+      count++;
+      return shift;
+    });
+    return {
+      key: shortestPeriod(
+        shifts.map((shift) => tableau.keyFor(shift)).join("")
+      ),
+      disagreement: disagreement / count,
+    };
+  };
+
+  // periodic fragments are strong evidence, then the crib that best fits the frequencies
+  const byEvidence = (a, b) =>
+    b.periodic - a.periodic ||
+    a.disagreement - b.disagreement ||
+    b.placements[0].crib.length - a.placements[0].crib.length;
+
+  const candidates = [];
+  let placements = 0;
+  let slideCapped = false;
+
+  cleanCribs.forEach(({ crib, position }, cribIndex) => {
+    const slideLength = Math.max(0, letters.length - crib.length + 1);
+    if (position === undefined && slideLength > MAX_SLIDE_POSITIONS) {
+      slideCapped = true;
+    }
+    const positions =
+      position === undefined
+        ? Array.from(
+            { length: Math.min(slideLength, MAX_SLIDE_POSITIONS) },
+            (_, i) => i
+          )
+        : [position];
+
+    const cribCandidates = [];
+    for (const start of positions) {
+      if (start + crib.length > letters.length) continue;
+      const fragment = deriveFragment(letters, crib, start, cipher, tableau);
+      if (!fragment) continue;
+      placements++;
+
+      // the crib covers the key more than once: the key is read off directly
+      const period = fragmentPeriod(fragment, maxKeyLength);
+      const lengths = period ? [period] : likelyLengths;
+
+      for (const keyLength of lengths) {
+        const pinned = pinKey(fragment, start, keyLength);
+        if (!pinned) continue;
+        cribCandidates.push({
+          cribIndex,
+          keyLength,
+          pinned,
+          periodic: period > 0,
+          placements: [{ crib, position: start }],
+          ...completeKey(pinned, keyLength),
+        });
+      }
+    }
+
+    cribCandidates.sort(byEvidence);
+    candidates.push(...cribCandidates.slice(0, MAX_CANDIDATES_PER_CRIB));
+  });
+  candidates.sort(byEvidence);
+
+  // a crib shorter than the key leaves gaps, the other cribs may fill them:
+  // add the best placement of every other crib that agrees with the columns pinned so far
+  if (cleanCribs.length > 1) {
+    const combined = candidates
+      .filter((candidate) => !candidate.periodic)
+      .slice(0, MAX_SCORED_CANDIDATES)
+      .map((candidate) => {
+        let { pinned, periodic, placements: used } = candidate;
+        cleanCribs.forEach((_, cribIndex) => {
+          if (cribIndex === candidate.cribIndex) return;
+          const other = candidates.find(
+            (entry) =>
+              entry.cribIndex === cribIndex &&
+              entry.keyLength === candidate.keyLength &&
+              entry.pinned.every(
+                (shift, column) =>
+                  shift === -1 ||
+                  pinned[column] === -1 ||
+                  pinned[column] === shift
+              )
+          );
+          if (!other) return;
+          pinned = pinned.map((shift, column) =>
+            shift === -1 ? other.pinned[column] : shift
+          );
+          used = [...used, ...other.placements];
+          periodic = periodic || other.periodic;
+        });
+        return {
+          ...candidate,
+          pinned,
+          periodic,
+          placements: used,
+          ...completeKey(pinned, candidate.keyLength),
+        };
+      })
+      .filter((candidate) => candidate.placements.length > 1);
+    candidates.push(...combined);
+    candidates.sort(
+      (a, b) => b.placements.length - a.placements.length || byEvidence(a, b)
+    );
+  }
+
+  const seen = new Set();
+  const results = [];
+  for (const candidate of candidates) {
+    if (results.length >= MAX_SCORED_CANDIDATES) break;
+    if (seen.has(candidate.key)) continue;
+    seen.add(candidate.key);
+
+    const decryption = decryptWithKey(ciphertext, candidate.key, options);
+    const decryptedLetters = plainLetters(decryption);
+    results.push({
+      key: candidate.key,
+      keyLength: candidate.key.length,
+      periodic: candidate.periodic,
+      placements: candidate.placements,
+      fullDecryption: decryption,
+      // every crib that shows up in the decryption, wherever it was placed
+      cribsFound: cleanCribs.filter(({ crib }) =>
+        decryptedLetters.includes(crib)
+      ).length,
+      ...scoreDecryption(decryption, dictionary, options),
+    });
+  }
+
+  results.sort((a, b) => b.cribsFound - a.cribsFound || b.score - a.score);
+
+  return {
+    candidates: results.slice(0, limit),
+    placements,
+    letterCount: letters.length,
+    // sliding cribs only looked at the first MAX_SLIDE_POSITIONS letters
+    slideCapped,
+  };
+};
+
+module.exports = {
+  MIN_CRIB_LENGTH,
+  MAX_CRIBS,
+  MAX_CRIB_LENGTH,
+  MAX_SLIDE_POSITIONS,
+  cribAttack,
+};
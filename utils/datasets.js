@@ -0,0 +1,197 @@
+// datasets.js - the word lists and known keys every crack needs
+// each thread (the server and every worker) loads them once and keeps them,
+// so task messages only carry the ciphertext and the parameters
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { LANGUAGES, foldWord } = require("./languages.js");
+
+const DATA_DIR = path.join(__dirname, "../data");
+const KNOWN_KEYS_FILE = "VK.json";
+// wordlists uploaded for dictionary attacks, one JSON file per name in a
+// directory per owner (the API key that uploaded it)
+const WORDLIST_DIR = path.join(DATA_DIR, "wordlists");
+const WORDLIST_NAME = /^[A-Za-z0-9_-]{1,40}$/;
+// most words one uploaded wordlist may hold, the letters of one word, and the
+// lists one owner may keep
+const MAX_WORDLIST_SIZE = 100000;
+const MAX_WORD_LENGTH = 100;
+const MAX_WORDLISTS = 20;
+
+// load the dictionary of a language profile
+// words are stored with and without accents so A-Z decryptions still match
+const loadDictionary = (profile) => {
+  const file = path.join(DATA_DIR, profile.dictionaryFile);
+  if (!fs.existsSync(file)) {
+    console.warn(`Dictionary ${profile.dictionaryFile} not found`);
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(file, "utf8")).commonWords.reduce(
+    (dict, word, index) => {
+      // calculate weight based on word frequency and length
+      let weight = 1.0;
+      if (word.length > 2) weight += (word.length - 2) * 0.3;
+      if (index < 500) weight += 0.8;
+      const lowerWord = word.toLowerCase();
+      dict[lowerWord] = weight;
+      dict[foldWord(lowerWord, profile.extendedLetters)] = weight;
+      dict[foldWord(lowerWord)] = weight;
+      return dict;
+    },
+    {}
+  );
+};
+
+// load common keys
+const loadKnownKeys = () => {
+  const file = path.join(DATA_DIR, KNOWN_KEYS_FILE);
+  if (!fs.existsSync(file)) {
+    console.warn(`Known keys ${KNOWN_KEYS_FILE} not found`);
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).keys;
+};
+
+let dictionaries = null;
+let knownKeys = null;
+
+// (re)read every dataset from disk
+const reloadDatasets = () => {
+  dictionaries = Object.keys(LANGUAGES).reduce((dicts, language) => {
+    dicts[language] = loadDictionary(LANGUAGES[language]);
+    return dicts;
+  }, {});
+  knownKeys = loadKnownKeys();
+};
+
+// datasets are loaded the first time they are asked for
+const getDictionary = (language) => {
+  if (!dictionaries) reloadDatasets();
+  return dictionaries[language] || {};
+};
+
+const getKnownKeys = () => {
+  if (!knownKeys) reloadDatasets();
+  return knownKeys;
+};
+
+/**
+ ********************* uploaded wordlists
+ */
+
+// loaded wordlists by owner and name, with the modification time they were read at,
+// so a list uploaded again under the same name is picked up by every thread
+const wordlists = new Map();
+
+const isValidWordlistName = (name) => {
+  return typeof name === "string" && WORDLIST_NAME.test(name);
+};
+
+// owners are hashed into directory names, like the session store does
+const ownerDir = (owner) =>
+  path.join(
+    WORDLIST_DIR,
+    crypto.createHash("sha256").update(owner).digest("hex").slice(0, 32)
+  );
+
+const wordlistFile = (owner, name) =>
+  path.join(ownerDir(owner), `${name}.json`);
+
+const hasWordlist = (owner, name) =>
+  typeof owner === "string" &&
+  isValidWordlistName(name) &&
+  fs.existsSync(wordlistFile(owner, name));
+
+// the words of an owner's list, or null when the owner has no list by that name
+const getWordlist = (owner, name) => {
+  const id = `${owner}/${name}`;
+  if (!hasWordlist(owner, name)) {
+    wordlists.delete(id);
+    return null;
+  }
+
+  const file = wordlistFile(owner, name);
+  const { mtimeMs } = fs.statSync(file);
+  const cached = wordlists.get(id);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.words;
+
+  const { words } = JSON.parse(fs.readFileSync(file, "utf8"));
+  wordlists.set(id, { mtimeMs, words });
+  return words;
+};
+
+// changes whenever the list is uploaded again, null when there is no such list
+const getWordlistVersion = (owner, name) => {
+  if (!hasWordlist(owner, name)) return null;
+  return fs.statSync(wordlistFile(owner, name)).mtimeMs;
+};
+
+// store (or replace) a wordlist, words are expected to be cleaned already
+const saveWordlist = (owner, name, words) => {
+  fs.mkdirSync(ownerDir(owner), { recursive: true });
+  fs.writeFileSync(
+    wordlistFile(owner, name),
+    JSON.stringify({ name, words, uploadedAt: new Date().toISOString() })
+  );
+  wordlists.delete(`${owner}/${name}`);
+};
+
+// returns false when the owner had no list by that name
+const deleteWordlist = (owner, name) => {
+  if (!hasWordlist(owner, name)) return false;
+  fs.unlinkSync(wordlistFile(owner, name));
+  wordlists.delete(`${owner}/${name}`);
+  return true;
+};
+
+const listWordlists = (owner) => {
+  const dir = ownerDir(owner);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const { name, words, uploadedAt } = JSON.parse(
+        fs.readFileSync(path.join(dir, file), "utf8")
+      );
+      return { name, count: words.length, uploadedAt };
+    });
+};
+
+// files whose change should trigger a reload
+const isDatasetFile = (name) => {
+  return (
+    name === KNOWN_KEYS_FILE ||
+    Object.values(LANGUAGES).some((profile) => profile.dictionaryFile === name)
+  );
+};
+
+// call onChange (at most once per burst of writes) when a dataset file changes
+const watchDatasets = (onChange, delay = 500) => {
+  let timer = null;
+  const watcher = fs.watch(DATA_DIR, (event, name) => {
+    if (!name || !isDatasetFile(name)) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, delay);
+  });
+  watcher.unref();
+  return watcher;
+};
+
+module.exports = {
+  MAX_WORDLIST_SIZE,
+  MAX_WORD_LENGTH,
+  MAX_WORDLISTS,
+  getDictionary,
+  getKnownKeys,
+  reloadDatasets,
+  watchDatasets,
+  isValidWordlistName,
+  hasWordlist,
+  getWordlist,
+  getWordlistVersion,
+  saveWordlist,
+  deleteWordlist,
+  listWordlists,
+};
@@ -0,0 +1,159 @@
+// jobRegistry.js - keeps track of crack jobs so they can be polled and cancelled
+const crypto = require("crypto");
+
+/**
+ * Creates a registry of running and finished jobs
+ * @param {Object} options - ttl: how long finished jobs are kept (ms)
+ * @returns {Object} - Registry interface with start, get and cancel methods
+ */
+exports.createJobRegistry = ({ ttl = 15 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+  let completed = 0;
+
+  // public view of a job, without the controller and promise
+  const describe = (job) => {
+    const view = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt
+        ? new Date(job.finishedAt).toISOString()
+        : null,
+    };
+    if (job.progress) view.progress = job.progress;
+    if (job.status === "completed") view.result = job.result;
+    if (job.status === "failed") view.error = job.error;
+    return view;
+  };
+
+  const finish = (job, status, fields = {}) => {
+    // a cancelled job stays cancelled whatever its work settles with
+    if (job.finishedAt) return;
+    Object.assign(job, fields, { status, finishedAt: Date.now() });
+    if (status === "completed") completed++;
+
+    const view = describe(job);
+    for (const listener of job.listeners) listener("done", view);
+    job.listeners.clear();
+  };
+
+  // run(signal, job) does the work, it should stop when the signal aborts
+  const start = (type, run) => {
+    const controller = new AbortController();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: "queued",
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      // best key and score reported so far, see reportProgress
+      best: new Map(),
+      listeners: new Set(),
+      controller,
+    };
+    jobs.set(job.id, job);
+
+    job.promise = Promise.resolve()
+      .then(() => run(controller.signal, job))
+      .then(
+        (result) => {
+          finish(job, "completed", { result });
+          return result;
+        },
+        (error) => {
+          finish(job, "failed", { error: error.message });
+          throw error;
+        }
+      );
+    // async callers never await the promise, don't let it crash the process
+    job.promise.catch(() => {});
+
+    return job;
+  };
+
+  // called by the work once it leaves the queue
+  const markRunning = (job) => {
+    if (job.status !== "queued") return;
+    job.status = "running";
+    job.startedAt = Date.now();
+  };
+
+  // keep the latest progress of a job and pass it on to its listeners
+  // shards and key lengths report in any order, so bestKey and score are the best
+  // reported so far: per message of a batch (index) and per language, the scores of
+  // different languages don't compare
+  const reportProgress = (job, progress) => {
+    if (job.finishedAt) return;
+    const group = `${progress.index}/${progress.language}`;
+    const kept = job.best.get(group);
+    if (
+      typeof progress.score === "number" &&
+      (!kept || progress.score > kept.score)
+    ) {
+      job.best.set(group, { bestKey: progress.bestKey, score: progress.score });
+    }
+    const best = job.best.get(group);
+    job.progress = best ? { ...progress, ...best } : progress;
+    for (const listener of job.listeners) listener("progress", job.progress);
+  };
+
+  // listener(event, data) is called with "progress" updates and a final "done"
+  // returns an unsubscribe function, or null when there is no such job
+  const subscribe = (id, listener) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  };
+
+  const get = (id) => {
+    const job = jobs.get(id);
+    return job ? describe(job) : null;
+  };
+
+  // returns the job view, or null when there is no such job
+  // finished jobs are left as they are
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!job.finishedAt) {
+      finish(job, "cancelled");
+      job.controller.abort();
+    }
+    return describe(job);
+  };
+
+  // drop finished jobs once they are older than the ttl
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > ttl) jobs.delete(id);
+    }
+  };
+  const sweepTimer = setInterval(sweep, Math.min(ttl, 60 * 1000));
+  sweepTimer.unref();
+
+  return {
+    start,
+    markRunning,
+    reportProgress,
+    subscribe,
+    get,
+    cancel,
+    sweep,
+    get active() {
+      let count = 0;
+      for (const job of jobs.values()) {
+        if (!job.finishedAt) count++;
+      }
+      return count;
+    },
+    get completed() {
+      return completed;
+    },
+  };
+};
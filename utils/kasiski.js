@@ -0,0 +1,191 @@
+// key length detection: Kasiski examination, Friedman test and IC combined into one ranking
+const { calculateIC, getSequences } = require("./vigenereLogic.js");
+const { STANDARD_ALPHABET } = require("./alphabet.js");
+const { resolveLanguage } = require("./languages.js");
+
+// weights of each signal in the combined key length score
+const WEIGHTS = {
+  ic: 0.5,
+  kasiski: 0.3,
+  friedman: 0.2,
+};
+
+// keep only the letters of the alphabet, upper cased
+const cleanLetters = (text, alphabet = STANDARD_ALPHABET) => {
+  return Array.from(text.toUpperCase())
+    .filter((char) => alphabet.has(char))
+    .join("");
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// find repeated n-grams and the spacings between their occurrences
+const findRepeatedSequences = (
+  text,
+  { minLength = 3, maxLength = 5, alphabet = STANDARD_ALPHABET } = {}
+) => {
+  const letters = cleanLetters(text, alphabet);
+  const chars = Array.from(letters);
+  const repeats = [];
+
+  for (let length = maxLength; length >= minLength; length--) {
+    const positions = new Map();
+    for (let i = 0; i + length <= chars.length; i++) {
+      const sequence = chars.slice(i, i + length).join("");
+      if (!positions.has(sequence)) positions.set(sequence, []);
+      positions.get(sequence).push(i);
+    }
+
+    for (const [sequence, found] of positions) {
+      if (found.length < 2) continue;
+
+      // spacing between each pair of consecutive occurrences
+      const spacings = [];
+      for (let i = 1; i < found.length; i++) {
+        spacings.push(found[i] - found[i - 1]);
+      }
+
+      repeats.push({
+        sequence,
+        positions: found,
+        spacings,
+        gcd: spacings.reduce((a, b) => gcd(a, b)),
+      });
+    }
+  }
+
+  // longer and more frequent repeats first, they are the least likely to be chance
+  repeats.sort(
+    (a, b) =>
+      b.sequence.length - a.sequence.length ||
+      b.positions.length - a.positions.length
+  );
+  return repeats;
+};
+
+// count how many repeat spacings each candidate key length divides
+const kasiskiExamination = (text, maxKeyLength = 20, options = {}) => {
+  const repeats = findRepeatedSequences(text, options);
+  const factorCounts = {};
+  for (let length = 2; length <= maxKeyLength; length++) {
+    factorCounts[length] = 0;
+  }
+
+  let totalSpacings = 0;
+  for (const repeat of repeats) {
+    for (const spacing of repeat.spacings) {
+      totalSpacings++;
+      for (let length = 2; length <= maxKeyLength; length++) {
+        if (spacing % length === 0) factorCounts[length]++;
+      }
+    }
+  }
+
+  return { repeats, factorCounts, totalSpacings };
+};
+
+// Friedman test: estimate the key length from the overall IC of the text
+const friedmanTest = (text, options = {}) => {
+  const { alphabet = STANDARD_ALPHABET, language } = options;
+  const profile = resolveLanguage(language);
+  const length = cleanLetters(text, alphabet).length;
+  const ic = calculateIC(text, alphabet);
+  const randomIC = 1 / alphabet.size;
+
+  // L ~ (Kp - Kr) * N / ((N - 1) * IC - Kr * N + Kp)
+  const denominator =
+    (length - 1) * ic - randomIC * length + profile.expectedIC;
+  const estimate =
+    length > 1 && denominator > 0
+      ? ((profile.expectedIC - randomIC) * length) / denominator
+      : null;
+
+  return {
+    ic,
+    expectedIC: profile.expectedIC,
+    randomIC,
+    estimate,
+  };
+};
+
+// rank key lengths 1..maxKeyLength by IC, Kasiski factors and the Friedman estimate
+// each entry carries the individual signals and a confidence (all confidences sum to 1)
+const rankKeyLengths = (text, maxKeyLength = 20, options = {}) => {
+  const { alphabet = STANDARD_ALPHABET, language } = options;
+  const profile = resolveLanguage(language);
+  const randomIC = 1 / alphabet.size;
+
+  const kasiski = kasiskiExamination(text, maxKeyLength, { alphabet });
+  const friedman = friedmanTest(text, { alphabet, language: profile });
+  const maxFactorCount = Math.max(0, ...Object.values(kasiski.factorCounts));
+
+  const candidates = [];
+  for (let length = 1; length <= maxKeyLength; length++) {
+    const sequences = getSequences(text, length, alphabet);
+    const avgIC =
+      sequences.reduce((sum, seq) => sum + calculateIC(seq, alphabet), 0) /
+      sequences.length;
+
+    // how close the columns are to the language (1) rather than random text (0)
+    const icScore = Math.min(
+      1,
+      Math.max(0, (avgIC - randomIC) / (profile.expectedIC - randomIC))
+    );
+
+    const kasiskiCount = kasiski.factorCounts[length] || 0;
+    const kasiskiScore = maxFactorCount > 0 ? kasiskiCount / maxFactorCount : 0;
+
+    // a bell around the Friedman estimate, it is rough so the bell is wide
+    const friedmanScore =
+      friedman.estimate === null
+        ? 0
+        : Math.exp(
+            -Math.pow(length - friedman.estimate, 2) /
+              (2 * Math.pow(Math.max(1, friedman.estimate * 0.5), 2))
+          );
+
+    candidates.push({
+      length,
+      avgIC,
+      icScore,
+      kasiskiCount,
+      kasiskiScore,
+      friedmanScore,
+      score:
+        icScore * WEIGHTS.ic +
+        kasiskiScore * WEIGHTS.kasiski +
+        friedmanScore * WEIGHTS.friedman,
+    });
+  }
+
+  // multiples of the real key length look just as good, so a length loses
+  // out to one of its divisors when that divisor's columns are nearly as even
+  for (const candidate of candidates) {
+    const divisor = candidates.find(
+      (other) =>
+        other.length < candidate.length &&
+        candidate.length % other.length === 0 &&
+        other.icScore >= candidate.icScore * 0.85
+    );
+    if (divisor) {
+      candidate.score *= 0.7;
+      candidate.multipleOf = divisor.length;
+    }
+  }
+
+  const totalScore = candidates.reduce((sum, c) => sum + c.score, 0);
+  for (const candidate of candidates) {
+    candidate.confidence = totalScore > 0 ? candidate.score / totalScore : 0;
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  return { candidates, kasiski, friedman };
+};
+
+module.exports = {
+  findRepeatedSequences,
+  kasiskiExamination,
+  friedmanTest,
+  rankKeyLengths,
+};
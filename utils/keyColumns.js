@@ -0,0 +1,119 @@
+// per column alternatives of a periodic key: each key position enciphers one column of
+// the ciphertext, so a wrong key letter shows up as one garbled column; this ranks
+// the shifts of every column so a single letter can be tweaked
+const {
+  getCipher,
+  getSequences,
+  rankShifts,
+  decryptWithKey,
+  sampleText,
+  scoreDecryption,
+} = require("./vigenereLogic.js");
+
+// keys are scored on the start of the text holding this many letters, a wrong
+// key letter shows long before that and every alternative costs a decryption
+const SAMPLE_LETTERS = 2000;
+// plaintext letters shown per column and per alternative
+const PREVIEW_LETTERS = 100;
+
+/**
+ * Rank the alternatives of every key position
+ * @param {string} ciphertext - The encrypted text
+ * @param {string} key - The periodic key to tweak
+ * @param {Object} options - column (only this position), limit (shifts per position),
+ *                           dictionary and the cipher options (variant, alphabet, language, fitness)
+ * @returns {Object} - the key's own score and per position the ranked shifts with
+ *                     chi-squared, the fitness of the sample and the start of the column's plaintext
+ */
+const analyzeKeyColumns = (ciphertext, key, options = {}) => {
+  const { column, limit = 5, dictionary = {} } = options;
+  const { tableau } = getCipher(options);
+  const symbols = Array.from(key).map((symbol) => symbol.toUpperCase());
+  const shifts = symbols.map((symbol) => tableau.shiftFor(symbol));
+  const sequences = getSequences(ciphertext, symbols.length, tableau.cipher);
+  const sample = sampleText(ciphertext, SAMPLE_LETTERS, tableau);
+
+  const scoreKey = (candidate) =>
+    scoreDecryption(
+      decryptWithKey(sample, candidate, options),
+      dictionary,
+      options
+    );
+
+  // a column decrypts with its single key letter, the rest of the key doesn't touch it
+  const columnPlaintext = (position, letter) =>
+    decryptWithKey(
+      sequences[position].substring(0, PREVIEW_LETTERS),
+      letter,
+      options
+    );
+
+  const describeShift = (position, { shift, chiSquared }, rank) => {
+    const letter = tableau.keyFor(shift);
+    const candidate = [
+      ...symbols.slice(0, position),
+      letter,
+      ...symbols.slice(position + 1),
+    ].join("");
+    return {
+      shift,
+      letter,
+      rank,
+      current: shift === shifts[position],
+      chiSquared,
+      score: scoreKey(candidate).score,
+      key: candidate,
+      plaintext: columnPlaintext(position, letter),
+    };
+  };
+
+  const positions =
+    column === undefined ? symbols.map((_, position) => position) : [column];
+
+  const columns = positions.map((position) => {
+    const ranked = rankShifts(sequences[position], options);
+    const currentRank = ranked.findIndex(
+      ({ shift }) => shift === shifts[position]
+    );
+    const alternatives = ranked
+      .slice(0, limit)
+      .map((entry, rank) => describeShift(position, entry, rank));
+
+    return {
+      position,
+      letter: symbols[position],
+      shift: shifts[position],
+      currentRank,
+      // the letters of the column are those at position, position + keyLength, ...
+      letterCount: sequences[position].length,
+      plaintext: columnPlaintext(position, symbols[position]),
+      // the current letter is listed even when it ranks below the limit
+      alternatives:
+        currentRank < limit
+          ? alternatives
+          : alternatives.concat(
+              describeShift(position, ranked[currentRank], currentRank)
+            ),
+    };
+  });
+
+  const { wordStats, chiSquared, fitness, score } = scoreKey(symbols.join(""));
+  return {
+    key: symbols.join(""),
+    keyLength: symbols.length,
+    wordStats,
+    chiSquared,
+    fitness,
+    score,
+    // the scores are those of the start of the text, up to this many letters
+    sampleLetters: Math.min(
+      SAMPLE_LETTERS,
+      sequences.reduce((sum, sequence) => sum + sequence.length, 0)
+    ),
+    columns,
+  };
+};
+
+module.exports = {
+  analyzeKeyColumns,
+};
@@ -0,0 +1,169 @@
+// keyMutations.js - candidate keys for the dictionary attack, derived from a wordlist
+// candidates are generated one at a time, so even millions of them never sit in memory
+
+// endings people tack on to a keyword
+const SUFFIXES = ["S", "ES", "ED", "ING", "ER", "Y"];
+const VOWELS = /[AEIOU]/gi;
+
+// mutation rules, each turns one word into the variants it stands for
+const MUTATIONS = {
+  reverse: (word) => [Array.from(word).reverse().join("")],
+  suffixes: (word) => SUFFIXES.map((suffix) => word + suffix),
+  // keyword alphabets drop repeated letters, people drop vowels or an end letter
+  strip: (word) => [
+    Array.from(new Set(word)).join(""),
+    word.replace(VOWELS, ""),
+    word.slice(1),
+    word.slice(0, -1),
+  ],
+};
+
+// "pairs" isn't a per-word rule: it joins each word with the most common words
+const MUTATION_NAMES = [...Object.keys(MUTATIONS), "pairs"];
+
+// the rules used when none are asked for: the known keys alone are some 200000
+// words, every rule adds as many candidates again or more, so the others have to
+// be asked for
+const DEFAULT_MUTATIONS = ["reverse"];
+
+// how many words from the top of the list each word is paired with
+const DEFAULT_PAIR_WORDS = 20;
+
+// candidates are ranked on the start of the text holding this many letters, the
+// best key then decrypts all of it
+const SAMPLE_LETTERS = 80;
+
+// most letters one dictionary attack may decrypt and score (candidates times the
+// letters of the sample): at about 1.5 microseconds a letter, scoring included,
+// that is a minute of worker time, within the anonymous CPU quota and the task timeout
+const MAX_SCORED_LETTERS = 40000000;
+
+// the options of generateCandidates with their defaults
+const withDefaults = (
+  words,
+  {
+    range = [0, words.length],
+    rules = DEFAULT_MUTATIONS,
+    pairWords = DEFAULT_PAIR_WORDS,
+    maxKeyLength = 20,
+  } = {}
+) => ({ range, rules, pairWords, maxKeyLength });
+
+// the pair partners, upper case like the words they are joined to
+const pairPartners = (words, { rules, pairWords }) =>
+  rules.includes("pairs")
+    ? words.slice(0, pairWords).map((word) => word.toUpperCase())
+    : [];
+
+// what the per-word rules make of a word, without the word itself and repeats
+const mutateWord = (word, { rules, maxKeyLength }) => {
+  const seen = new Set([word]);
+  const keys = [];
+  for (const rule of rules) {
+    if (!MUTATIONS[rule]) continue;
+    for (const key of MUTATIONS[rule](word)) {
+      // single letters are plain caesar shifts, not keywords
+      if (key.length < 2 || key.length > maxKeyLength || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      keys.push(key);
+    }
+  }
+  return keys;
+};
+
+/**
+ * Candidate keys for a wordlist: every word, then what the mutation rules make of it
+ * @param {Array} words - The wordlist, most likely words first
+ * @param {Object} options - range: [start, end) of the words to expand, rules: mutation names,
+ *                           pairWords: partners per word for "pairs", maxKeyLength: longest mutated key
+ * @returns {Generator} - Yields upper case candidate keys, without repeats for the same word
+ */
+function* generateCandidates(words, options) {
+  const settings = withDefaults(words, options);
+  const { range, maxKeyLength } = settings;
+  const partners = pairPartners(words, settings);
+
+  for (let i = range[0]; i < Math.min(range[1], words.length); i++) {
+    // keys are case blind, the vowel and suffix rules work on upper case
+    const word = words[i].toUpperCase();
+    const seen = new Set([word]);
+    yield word;
+
+    for (const key of mutateWord(word, settings)) {
+      seen.add(key);
+      yield key;
+    }
+
+    for (const partner of partners) {
+      const key = word + partner;
+      if (key.length > maxKeyLength || seen.has(key)) continue;
+      seen.add(key);
+      yield key;
+    }
+  }
+}
+
+// counts by wordlist (the loaded word arrays are replaced when a list changes)
+const counts = new WeakMap();
+
+// number of candidates generateCandidates yields, worked out without building the
+// pair keys: every partner short enough gives a new key, unless the key is one the
+// rules already made (a suffix that is also a partner)
+const countCandidates = (words, options) => {
+  const settings = withDefaults(words, options);
+  const { range, maxKeyLength } = settings;
+  const id = JSON.stringify(settings);
+  if (!counts.has(words)) counts.set(words, new Map());
+  const known = counts.get(words);
+  if (known.has(id)) return known.get(id);
+
+  const partners = new Set(
+    pairPartners(words, settings).filter((partner) => partner.length > 0)
+  );
+
+  // fitting[n]: partners of at most n letters
+  const fitting = new Array(maxKeyLength + 1).fill(0);
+  for (const partner of partners) {
+    if (partner.length <= maxKeyLength) fitting[partner.length]++;
+  }
+  for (let n = 1; n <= maxKeyLength; n++) fitting[n] += fitting[n - 1];
+
+  let count = 0;
+  for (let i = range[0]; i < Math.min(range[1], words.length); i++) {
+    const word = words[i].toUpperCase();
+    const mutations = mutateWord(word, settings);
+    count += 1 + mutations.length;
+    if (partners.size === 0 || word.length >= maxKeyLength) continue;
+
+    count += fitting[maxKeyLength - word.length];
+    for (const key of mutations) {
+      if (key.startsWith(word) && partners.has(key.slice(word.length))) {
+        count--;
+      }
+    }
+  }
+  known.set(id, count);
+  return count;
+};
+
+// upper case letters only, so uploaded lists match the key alphabet
+const cleanWords = (words) => {
+  const cleaned = words
+    .filter((word) => typeof word === "string")
+    .map((word) => word.toUpperCase().replace(/[^A-Z]/g, ""))
+    .filter((word) => word.length > 0);
+  return Array.from(new Set(cleaned));
+};
+
+module.exports = {
+  MUTATION_NAMES,
+  DEFAULT_MUTATIONS,
+  DEFAULT_PAIR_WORDS,
+  SAMPLE_LETTERS,
+  MAX_SCORED_LETTERS,
+  generateCandidates,
+  countCandidates,
+  cleanWords,
+};
@@ -0,0 +1,240 @@
+// language profiles used to score decryptions: letter frequencies, expected IC,
+// dictionary file and the extra letters of the language's extended alphabet
+const { STANDARD_LETTERS } = require("./alphabet.js");
+
+// English letter frequencies (most common to least common)
+const ENGLISH_FREQUENCIES = {
+  E: 0.1202,
+  T: 0.091,
+  A: 0.0812,
+  O: 0.0768,
+  I: 0.0731,
+  N: 0.0695,
+  S: 0.0628,
+  R: 0.0602,
+  H: 0.0592,
+  D: 0.0432,
+  L: 0.0398,
+  U: 0.0288,
+  C: 0.0271,
+  M: 0.0261,
+  F: 0.023,
+  Y: 0.0211,
+  W: 0.0209,
+  G: 0.0203,
+  P: 0.0182,
+  B: 0.0149,
+  V: 0.0111,
+  K: 0.0069,
+  X: 0.0017,
+  Q: 0.0011,
+  J: 0.001,
+  Z: 0.0007,
+};
+
+// Spanish letter frequencies, accented vowels counted with their base letter
+const SPANISH_FREQUENCIES = {
+  E: 0.1261,
+  A: 0.1203,
+  O: 0.0951,
+  S: 0.0798,
+  R: 0.0687,
+  N: 0.0671,
+  I: 0.0697,
+  L: 0.0497,
+  D: 0.0501,
+  T: 0.0463,
+  C: 0.0402,
+  U: 0.031,
+  M: 0.0316,
+  P: 0.0251,
+  B: 0.0222,
+  G: 0.0177,
+  V: 0.0114,
+  Y: 0.0101,
+  Q: 0.0088,
+  H: 0.007,
+  F: 0.0069,
+  Z: 0.0047,
+  J: 0.0049,
+  Ñ: 0.0031,
+  X: 0.0022,
+  W: 0.0002,
+  K: 0.0001,
+};
+
+// French letter frequencies, accented letters counted with their base letter
+const FRENCH_FREQUENCIES = {
+  E: 0.151,
+  A: 0.0813,
+  S: 0.0791,
+  T: 0.0711,
+  I: 0.0694,
+  N: 0.0642,
+  R: 0.0643,
+  U: 0.0605,
+  L: 0.0568,
+  O: 0.0527,
+  D: 0.0355,
+  C: 0.0315,
+  M: 0.0323,
+  P: 0.0303,
+  V: 0.0183,
+  H: 0.0108,
+  G: 0.0097,
+  F: 0.0096,
+  B: 0.0093,
+  Q: 0.0089,
+  J: 0.0071,
+  X: 0.0042,
+  Z: 0.0021,
+  Y: 0.0019,
+  K: 0.0016,
+  W: 0.0004,
+};
+
+// German letter frequencies, umlauts kept apart for the extended alphabet
+const GERMAN_FREQUENCIES = {
+  E: 0.164,
+  N: 0.0978,
+  I: 0.0655,
+  S: 0.0758,
+  R: 0.07,
+  A: 0.0652,
+  T: 0.0615,
+  D: 0.0508,
+  H: 0.0458,
+  U: 0.0417,
+  L: 0.0344,
+  C: 0.0273,
+  G: 0.0301,
+  M: 0.0253,
+  O: 0.0259,
+  B: 0.0189,
+  W: 0.0192,
+  F: 0.0166,
+  K: 0.0142,
+  Z: 0.0113,
+  P: 0.0067,
+  V: 0.0085,
+  Ü: 0.01,
+  Ä: 0.0058,
+  Ö: 0.0044,
+  J: 0.0027,
+  Y: 0.0004,
+  X: 0.0003,
+  Q: 0.0002,
+};
+
+const LANGUAGES = {
+  english: {
+    code: "en",
+    name: "English",
+    frequencies: ENGLISH_FREQUENCIES,
+    expectedIC: 0.0667,
+    dictionaryFile: "Words.json",
+    alphabet: STANDARD_LETTERS,
+    extendedLetters: "",
+    folding: {},
+  },
+  spanish: {
+    code: "es",
+    name: "Spanish",
+    frequencies: SPANISH_FREQUENCIES,
+    expectedIC: 0.0775,
+    dictionaryFile: "Words_es.json",
+    alphabet: "ABCDEFGHIJKLMNÑOPQRSTUVWXYZ",
+    extendedLetters: "Ñ",
+    folding: { Ñ: "N" },
+  },
+  french: {
+    code: "fr",
+    name: "French",
+    frequencies: FRENCH_FREQUENCIES,
+    expectedIC: 0.0778,
+    dictionaryFile: "Words_fr.json",
+    alphabet: STANDARD_LETTERS,
+    extendedLetters: "",
+    folding: {},
+  },
+  german: {
+    code: "de",
+    name: "German",
+    frequencies: GERMAN_FREQUENCIES,
+    expectedIC: 0.0762,
+    dictionaryFile: "Words_de.json",
+    alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ",
+    extendedLetters: "ÄÖÜ",
+    folding: { Ä: "A", Ö: "O", Ü: "U" },
+  },
+};
+
+const isValidLanguage = (language) => {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+};
+
+// turn a language name (or an already resolved profile) into a profile
+const resolveLanguage = (language) => {
+  if (!language) return LANGUAGES.english;
+  if (typeof language === "object") return language;
+  if (!isValidLanguage(language)) {
+    throw new Error(`Unknown language: ${language}`);
+  }
+  return LANGUAGES[language];
+};
+
+// full alphabet of a language, including its extra letters
+const getLanguageAlphabet = (language) => {
+  return resolveLanguage(language).alphabet;
+};
+
+// expected frequencies for the letters of a given alphabet
+// extended letters missing from the alphabet are folded into their base letter
+const frequencyCache = new Map();
+const getLanguageFrequencies = (language, alphabet) => {
+  const profile = resolveLanguage(language);
+  const cacheKey = `${profile.code}:${alphabet.letters}`;
+  if (frequencyCache.has(cacheKey)) return frequencyCache.get(cacheKey);
+
+  const frequencies = {};
+  let total = 0;
+  for (const letter in profile.frequencies) {
+    const target = alphabet.has(letter)
+      ? letter
+      : profile.folding[letter] || letter;
+    if (!alphabet.has(target)) continue;
+    frequencies[target] =
+      (frequencies[target] || 0) + profile.frequencies[letter];
+    total += profile.frequencies[letter];
+  }
+
+  // renormalise so the folded table still sums to 1
+  for (const letter in frequencies) {
+    frequencies[letter] /= total;
+  }
+
+  frequencyCache.set(cacheKey, frequencies);
+  return frequencies;
+};
+
+// strip accents from a word, keeping the given extended letters (e.g. "Ñ")
+const foldWord = (word, keepLetters = "") => {
+  return Array.from(word)
+    .map((char) =>
+      keepLetters.includes(char.toUpperCase())
+        ? char
+        : char.normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    )
+    .join("")
+    .replace(/ß/g, "ss");
+};
+
+module.exports = {
+  LANGUAGES,
+  ENGLISH_FREQUENCIES,
+  isValidLanguage,
+  resolveLanguage,
+  getLanguageAlphabet,
+  getLanguageFrequencies,
+  foldWord,
+};
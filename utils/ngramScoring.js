@@ -0,0 +1,89 @@
+// n-gram log-likelihood fitness, works on texts without spaces unlike word counting
+// tables are built by scripts/buildNgrams.js and live in data/ngrams
+const fs = require("fs");
+const path = require("path");
+const { resolveLanguage } = require("./languages.js");
+
+const NGRAM_DIR = path.join(__dirname, "../data/ngrams");
+
+// fitness functions a crack can rank its candidates with
+// "words" is the older dictionary based composite score
+const FITNESS_FUNCTIONS = {
+  words: null,
+  trigram: { n: 3, file: "trigrams" },
+  quadgram: { n: 4, file: "quadgrams" },
+};
+
+const isValidFitness = (fitness) => {
+  return Object.prototype.hasOwnProperty.call(FITNESS_FUNCTIONS, fitness);
+};
+
+// tables are loaded once per process (or worker) the first time they are used
+const tableCache = new Map();
+const loadNgramTable = (fitness, language) => {
+  const profile = resolveLanguage(language);
+  const languageName = profile.name.toLowerCase();
+  const cacheKey = `${languageName}:${fitness}`;
+  if (tableCache.has(cacheKey)) return tableCache.get(cacheKey);
+
+  const file = path.join(
+    NGRAM_DIR,
+    `${languageName}_${FITNESS_FUNCTIONS[fitness].file}.json`
+  );
+  const table = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : null;
+
+  tableCache.set(cacheKey, table);
+  return table;
+};
+
+const hasNgramTable = (fitness, language) => {
+  return fitness === "words" || loadNgramTable(fitness, language) !== null;
+};
+
+// pick the fitness to use when a request doesn't name one:
+// quadgrams when the language has a table, word counting otherwise
+const defaultFitness = (language) => {
+  return hasNgramTable("quadgram", language) ? "quadgram" : "words";
+};
+
+// log10 likelihood of the text under the language's n-gram model
+// score is the average per n-gram so texts of any length compare (higher is better)
+const ngramFitness = (text, fitness = "quadgram", language) => {
+  const table = loadNgramTable(fitness, language);
+  if (!table) {
+    throw new Error(
+      `No ${fitness} table for ${resolveLanguage(language).name}`
+    );
+  }
+
+  // accents are dropped so extended letters still score as their base letter
+  const letters = text
+    .normalize("NFD")
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+  const { n, grams, floor } = table;
+
+  let total = 0;
+  let count = 0;
+  for (let i = 0; i + n <= letters.length; i++) {
+    const logProbability = grams[letters.substring(i, i + n)];
+    total += logProbability === undefined ? floor : logProbability;
+    count++;
+  }
+
+  return {
+    total,
+    count,
+    score: count > 0 ? total / count : floor,
+  };
+};
+
+module.exports = {
+  FITNESS_FUNCTIONS,
+  isValidFitness,
+  hasNgramTable,
+  defaultFitness,
+  ngramFitness,
+};
@@ -0,0 +1,116 @@
+// OpenAPI document of the API, built from the routers themselves: every route is
+// listed, and the validateBody schema of a route becomes its request body
+const { version } = require("../package.json");
+
+const errorEnvelope = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      properties: {
+        code: { type: "string" },
+        field: { type: ["string", "null"] },
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+// the routes of a router; routers used without a path (a plugin's own routes)
+// share the prefix, routers mounted at a path are listed as mounts of their own
+const collectRoutes = (router, prefix, routes = []) => {
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const validator = layer.route.stack.find((step) => step.handle.schema);
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          method,
+          path: prefix + layer.route.path,
+          schema: validator && validator.handle.schema,
+        });
+      }
+    } else if (layer.handle.stack && layer.regexp.fast_slash) {
+      collectRoutes(layer.handle, prefix, routes);
+    }
+  }
+  return routes;
+};
+
+// express paths (/jobs/:id) to OpenAPI paths (/jobs/{id}) and their parameters
+const describePath = (path) => {
+  const parameters = [];
+  const openApiPath = path.replace(/:(\w+)/g, (match, name) => {
+    parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    });
+    return `{${name}}`;
+  });
+  return { openApiPath, parameters };
+};
+
+const describeOperation = ({ schema, parameters, tag }) => {
+  const operation = {
+    tags: [tag],
+    responses: {
+      200: { description: "OK" },
+      400: {
+        description: "Invalid request",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/Error" },
+          },
+        },
+      },
+    },
+  };
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (schema) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema } },
+    };
+  }
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document of a set of mounted routers
+ * @param {Object[]} mounts - { prefix, router, tag } of every router, prefix is its full path
+ * @param {Object} options - title and description of the API
+ * @returns {Object} - the OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = (mounts, { title, description } = {}) => {
+  const paths = {};
+  const seen = new Set();
+
+  for (const { prefix, router, tag } of mounts) {
+    for (const route of collectRoutes(router, prefix)) {
+      // a plugin's own route replaces the generated one of the same path
+      const id = `${route.method} ${route.path}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const { openApiPath, parameters } = describePath(route.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][route.method] = describeOperation({
+        schema: route.schema,
+        parameters,
+        tag,
+      });
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title, description, version },
+    paths,
+    components: { schemas: { Error: errorEnvelope } },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -0,0 +1,243 @@
+// resultCache.js - content addressed cache of crack results
+// results are keyed by a hash of the normalized ciphertext and every crack option,
+// kept in an in-memory LRU and, when a directory is given, on disk so they survive
+// restarts; identical cracks running at the same time share one computation
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// the same text typed on another system: unicode composition and line endings
+// don't change what is cracked
+const normalizeText = (text) => text.normalize("NFC").replace(/\r\n?/g, "\n");
+
+// JSON with sorted object keys, so the order options are given in doesn't matter
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// the texts of a crack (ciphertext, or the ciphertexts of a batch) are normalized
+const normalizeParts = (parts) => ({
+  ...parts,
+  ...(typeof parts.ciphertext === "string" && {
+    ciphertext: normalizeText(parts.ciphertext),
+  }),
+  ...(Array.isArray(parts.ciphertexts) && {
+    ciphertexts: parts.ciphertexts.map((text) =>
+      typeof text === "string" ? normalizeText(text) : text
+    ),
+  }),
+});
+
+const abortError = () => {
+  const error = new Error("Task cancelled");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Creates a result cache
+ * @param {Object} options - maxEntries: results kept, in memory and on disk,
+ *                           ttl: ms a result stays valid (0 for ever),
+ *                           dir: directory of the on-disk store (none when left out)
+ * @returns {Object} - cache interface with run, clear and stats
+ */
+const createResultCache = ({ maxEntries = 500, ttl = 0, dir = null } = {}) => {
+  // key -> { value, createdAt }, in least recently used first order
+  // null for a result only on disk (stored before a restart), read when asked for
+  const entries = new Map();
+  // key -> { promise, controller, waiters } of the computations running now
+  const inFlight = new Map();
+  let hits = 0;
+  let misses = 0;
+  let coalesced = 0;
+
+  const entryFile = (key) => path.join(dir, `${key}.json`);
+
+  const isFresh = (entry) => ttl === 0 || Date.now() - entry.createdAt < ttl;
+
+  // drop a result from memory and disk
+  const forget = (key) => {
+    entries.delete(key);
+    if (!dir) return;
+    try {
+      fs.rmSync(entryFile(key), { force: true });
+    } catch (error) {
+      console.error(`Failed to delete cached result ${key}:`, error.message);
+    }
+  };
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) forget(entries.keys().next().value);
+  };
+
+  // the results stored before a restart, oldest first: the disk holds no more
+  // than maxEntries either, expired ones go at once
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stored = fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => ({
+        key: name.slice(0, -".json".length),
+        storedAt: fs.statSync(path.join(dir, name)).mtimeMs,
+      }))
+      .sort((a, b) => a.storedAt - b.storedAt);
+    for (const { key, storedAt } of stored) {
+      entries.set(key, null);
+      if (ttl > 0 && Date.now() - storedAt >= ttl) forget(key);
+    }
+    while (entries.size > maxEntries) forget(entries.keys().next().value);
+  }
+
+  const readEntry = (key) => {
+    try {
+      return JSON.parse(fs.readFileSync(entryFile(key), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to read cached result ${key}:`, error.message);
+      }
+      return null;
+    }
+  };
+
+  // the memory entry, or the disk one (which is then kept in memory)
+  const lookup = (key) => {
+    if (!entries.has(key)) return null;
+    const entry = entries.get(key) || readEntry(key);
+    if (entry && isFresh(entry)) {
+      remember(key, entry);
+      return entry;
+    }
+    forget(key);
+    return null;
+  };
+
+  const store = (key, value) => {
+    const entry = { value, createdAt: Date.now() };
+    remember(key, entry);
+    if (!dir) return;
+    try {
+      fs.writeFileSync(entryFile(key), JSON.stringify(entry));
+    } catch (error) {
+      console.error(`Failed to store cached result ${key}:`, error.message);
+    }
+  };
+
+  // wait for a shared computation; the computation is only cancelled once
+  // every request waiting for it has been cancelled
+  const waitFor = (flight, signal) => {
+    flight.waiters++;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        flight.waiters--;
+        if (flight.waiters === 0) flight.controller.abort();
+        return reject(abortError());
+      }
+
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0) flight.controller.abort();
+        reject(abortError());
+      };
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+      flight.promise.then(
+        (value) => {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (error) => {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          reject(error);
+        }
+      );
+    });
+  };
+
+  /**
+   * Run a computation, or answer from the cache
+   * @param {Object} parts - everything the result depends on, the ciphertexts are normalized
+   * @param {Function} compute - (signal) => promise of the result, only successes are cached
+   * @param {Object} options - signal: cancels this request, refresh: skip the cached result
+   * @returns {Promise<Object>} - { value, cached, age } with the age in seconds
+   */
+  const run = async (parts, compute, { signal, refresh = false } = {}) => {
+    const key = crypto
+      .createHash("sha256")
+      .update(stableStringify(normalizeParts(parts)))
+      .digest("hex");
+
+    const entry = refresh ? null : lookup(key);
+    if (entry) {
+      hits++;
+      return {
+        value: entry.value,
+        cached: true,
+        age: Math.floor((Date.now() - entry.createdAt) / 1000),
+      };
+    }
+
+    let flight = inFlight.get(key);
+    if (flight) {
+      coalesced++;
+    } else {
+      misses++;
+      const controller = new AbortController();
+      flight = { controller, waiters: 0 };
+      flight.promise = Promise.resolve()
+        .then(() => compute(controller.signal))
+        .then((value) => {
+          store(key, value);
+          return value;
+        })
+        .finally(() => inFlight.delete(key));
+      // a computation nobody waits for anymore still settles, quietly
+      flight.promise.catch(() => {});
+      inFlight.set(key, flight);
+    }
+
+    const value = await waitFor(flight, signal);
+    return { value, cached: false, age: 0 };
+  };
+
+  // forget every result, e.g. when the dictionaries they were scored with change
+  const clear = () => {
+    entries.clear();
+    if (!dir) return;
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith(".json")) fs.unlinkSync(path.join(dir, name));
+    }
+  };
+
+  return {
+    run,
+    clear,
+    get stats() {
+      return {
+        entries: entries.size,
+        inFlight: inFlight.size,
+        hits,
+        misses,
+        coalesced,
+        persistent: Boolean(dir),
+      };
+    },
+  };
+};
+
+module.exports = {
+  createResultCache,
+  normalizeText,
+};
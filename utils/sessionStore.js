@@ -0,0 +1,181 @@
+// sessionStore.js - saved crack sessions, so a partly solved cipher can be picked up later
+// a session holds the ciphertext, the crack parameters, the runs made so far with their
+// top results, the chosen key and the user's notes; one JSON file per session, in a
+// directory per owner (an API key, or an IP for anonymous clients)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const SESSION_DIR =
+  process.env.SESSION_DIR || path.join(__dirname, "../data/sessions");
+const SESSION_ID = /^[a-f0-9]{16}$/;
+
+// sessions kept per owner, the least recently updated go first
+const MAX_SESSIONS_PER_OWNER = 200;
+// runs and top results kept in a session
+const MAX_RUNS = 20;
+const MAX_TOP_RESULTS = 10;
+
+// owners are hashed into directory names, an IP isn't a safe file name
+const ownerDir = (owner) =>
+  path.join(
+    SESSION_DIR,
+    crypto.createHash("sha256").update(owner).digest("hex").slice(0, 32)
+  );
+
+const sessionFile = (owner, id) => path.join(ownerDir(owner), `${id}.json`);
+
+// owner -> Set of session ids, least recently updated first; read from the file
+// times of the owner's directory the first time it is needed
+const sessionIndex = new Map();
+
+const indexOf = (owner) => {
+  let index = sessionIndex.get(owner);
+  if (index) return index;
+  const dir = ownerDir(owner);
+  const ids = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir)
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => ({
+          id: name.slice(0, -".json".length),
+          updatedAt: fs.statSync(path.join(dir, name)).mtimeMs,
+        }))
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .map(({ id }) => id)
+    : [];
+  index = new Set(ids);
+  sessionIndex.set(owner, index);
+  return index;
+};
+
+// drop the least recently updated sessions over the limit, the files go in the background
+const pruneSessions = (owner) => {
+  const index = indexOf(owner);
+  for (const id of index) {
+    if (index.size <= MAX_SESSIONS_PER_OWNER) break;
+    index.delete(id);
+    fs.promises.unlink(sessionFile(owner, id)).catch((error) => {
+      console.error(`Failed to prune session ${id}:`, error.message);
+    });
+  }
+};
+
+const writeSession = (session) => {
+  fs.mkdirSync(ownerDir(session.owner), { recursive: true });
+  fs.writeFileSync(
+    sessionFile(session.owner, session.id),
+    JSON.stringify(session, null, 2)
+  );
+  const index = indexOf(session.owner);
+  index.delete(session.id);
+  index.add(session.id);
+};
+
+// the session, or null when the owner has none by that id
+const getSession = (owner, id) => {
+  if (typeof id !== "string" || !SESSION_ID.test(id)) return null;
+  const file = sessionFile(owner, id);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+// the owner's sessions without their runs, most recently updated first
+const listSessions = (owner) => {
+  return [...indexOf(owner)]
+    .map((id) => getSession(owner, id))
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(({ runs, topResults, ciphertext, ...session }) => ({
+      ...session,
+      preview: ciphertext.substring(0, 100),
+      runCount: runs.length,
+    }));
+};
+
+const createSession = (
+  owner,
+  { ciphertext, params = {}, name = null, notes = "", key = null }
+) => {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomBytes(8).toString("hex"),
+    owner,
+    name,
+    ciphertext,
+    params,
+    key,
+    // a key the user picked stays the session's key, otherwise the best one found does
+    keyChosen: key !== null,
+    notes,
+    topResults: [],
+    runs: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeSession(session);
+  pruneSessions(owner);
+  return session;
+};
+
+// change the name, notes, chosen key or parameters, returns null when there is no such session
+const updateSession = (owner, id, changes) => {
+  const session = getSession(owner, id);
+  if (!session) return null;
+  for (const field of ["name", "notes", "key", "params"]) {
+    if (changes[field] !== undefined) session[field] = changes[field];
+  }
+  if (changes.key !== undefined) session.keyChosen = changes.key !== null;
+  session.updatedAt = new Date().toISOString();
+  writeSession(session);
+  return session;
+};
+
+// record the outcome of a crack run; the best key becomes the session's key
+// unless the user chose one (keyChosen) and the run didn't start from it
+const recordRun = (owner, id, { params, response }) => {
+  const session = getSession(owner, id);
+  if (!session) return null;
+
+  const topResults = (response.topResults || []).slice(0, MAX_TOP_RESULTS);
+  session.runs = session.runs
+    .concat({
+      at: new Date().toISOString(),
+      method: response.method || params.method,
+      seedKey: params.seedKey,
+      key: topResults.length > 0 ? topResults[0].key : null,
+      score: topResults.length > 0 ? topResults[0].score : null,
+      cached: response.cached,
+      error: topResults.length > 0 ? undefined : response.error,
+    })
+    .slice(-MAX_RUNS);
+
+  if (topResults.length > 0) {
+    session.topResults = topResults;
+    if (!session.keyChosen || params.seedKey === session.key) {
+      session.key = topResults[0].key;
+      session.keyChosen = false;
+    }
+  }
+  session.params = params;
+  session.updatedAt = new Date().toISOString();
+  writeSession(session);
+  return session;
+};
+
+// returns false when there was no such session
+const deleteSession = (owner, id) => {
+  if (!getSession(owner, id)) return false;
+  fs.unlinkSync(sessionFile(owner, id));
+  indexOf(owner).delete(id);
+  return true;
+};
+
+module.exports = {
+  getSession,
+  listSessions,
+  createSession,
+  updateSession,
+  recordRun,
+  deleteSession,
+};
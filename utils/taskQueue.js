@@ -0,0 +1,98 @@
+// taskQueue.js - bounded priority queue with round-robin fairness between clients
+
+// priorities from the most to the least urgent
+const PRIORITIES = ["high", "normal", "low"];
+
+/**
+ * Creates a queue that hands tasks out by priority, and within a priority
+ * takes one task from each waiting client in turn
+ * @param {Object} options - maxSize: most tasks the queue holds (0 for no limit)
+ * @returns {Object} - Queue interface with push, shift and remove methods
+ */
+exports.createTaskQueue = ({ maxSize = 0 } = {}) => {
+  // per priority: client id -> that client's tasks in order of arrival
+  // Map keeps insertion order, so the first client is the one whose turn it is
+  const levels = new Map(PRIORITIES.map((priority) => [priority, new Map()]));
+  let size = 0;
+
+  const isFull = () => maxSize > 0 && size >= maxSize;
+
+  // returns false when the queue is full
+  const push = (task, { priority = "normal", clientId = "anonymous" } = {}) => {
+    if (isFull()) return false;
+
+    const clients = levels.get(priority) || levels.get("normal");
+    if (!clients.has(clientId)) clients.set(clientId, []);
+    clients.get(clientId).push(task);
+    size++;
+    return true;
+  };
+
+  // next task: most urgent priority first, then round robin over its clients
+  const shift = () => {
+    for (const clients of levels.values()) {
+      for (const [clientId, tasks] of clients) {
+        const task = tasks.shift();
+        // move the client to the back of the line (or drop it when it's done)
+        clients.delete(clientId);
+        if (tasks.length > 0) clients.set(clientId, tasks);
+        size--;
+        return task;
+      }
+    }
+    return undefined;
+  };
+
+  // take a task out wherever it waits, returns false when it isn't queued
+  const remove = (task) => {
+    for (const clients of levels.values()) {
+      for (const [clientId, tasks] of clients) {
+        const index = tasks.indexOf(task);
+        if (index === -1) continue;
+        tasks.splice(index, 1);
+        if (tasks.length === 0) clients.delete(clientId);
+        size--;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // empty the queue, returns the tasks that were waiting
+  const clear = () => {
+    const tasks = [];
+    for (const clients of levels.values()) {
+      for (const clientTasks of clients.values()) tasks.push(...clientTasks);
+      clients.clear();
+    }
+    size = 0;
+    return tasks;
+  };
+
+  // number of waiting tasks per priority
+  const depths = () => {
+    const result = {};
+    for (const [priority, clients] of levels) {
+      result[priority] = 0;
+      for (const tasks of clients.values()) result[priority] += tasks.length;
+    }
+    return result;
+  };
+
+  return {
+    push,
+    shift,
+    remove,
+    clear,
+    depths,
+    isFull,
+    get length() {
+      return size;
+    },
+    get maxSize() {
+      return maxSize;
+    },
+  };
+};
+
+exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,180 @@
+// statistics report on a ciphertext, to decide what to try before spending a crack job
+const {
+  calculateIC,
+  getFrequencies,
+  calculateChiSquared,
+  getSequences,
+} = require("./vigenereLogic.js");
+const { findRepeatedSequences } = require("./kasiski.js");
+const { STANDARD_ALPHABET } = require("./alphabet.js");
+const { resolveLanguage, getLanguageFrequencies } = require("./languages.js");
+
+// columns with fewer letters than this give an IC too noisy to call a period
+const MIN_COLUMN_LETTERS = 8;
+// chi-squared (unshifted letters against the language) from which the letters
+// surely aren't the language's own, plaintext usually stays well below it
+const TRANSPOSITION_CHI_SQUARED = 1;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// most frequent n-grams of a letter stream, as { sequence, count } pairs
+const countNgrams = (letters, n, limit) => {
+  const counts = new Map();
+  for (let i = 0; i + n <= letters.length; i++) {
+    const sequence = letters.slice(i, i + n);
+    counts.set(sequence, (counts.get(sequence) || 0) + 1);
+  }
+  return [...counts]
+    .map(([sequence, count]) => ({ sequence, count }))
+    .sort((a, b) => b.count - a.count || a.sequence.localeCompare(b.sequence))
+    .slice(0, limit);
+};
+
+// where the IC sits between random text (0) and the language (1)
+const icRatio = (ic, randomIC, expectedIC) =>
+  clamp((ic - randomIC) / (expectedIC - randomIC));
+
+/**
+ * Guess the kind of cipher from the IC, the column ICs and the letter frequencies
+ * one alphabet keeps the language's IC, a periodic key only keeps it per column,
+ * and transposition even keeps the language's letter frequencies
+ * @param {Object} features - icRatio, periodRatio, period, chiSquared, letterCount
+ * @returns {Object} - type, confidence, scores of every type and the reasons
+ */
+const guessCipherType = ({
+  icRatio: textRatio,
+  periodRatio,
+  period,
+  chiSquared,
+  letterCount,
+}) => {
+  const plainLetters = clamp(1 - chiSquared / TRANSPOSITION_CHI_SQUARED);
+  const raw = {
+    monoalphabetic: textRatio * (1 - plainLetters),
+    transposition: textRatio * plainLetters,
+    polyalphabetic: (1 - textRatio) * periodRatio,
+    random: (1 - textRatio) * (1 - periodRatio),
+  };
+  const total = Object.values(raw).reduce((sum, value) => sum + value, 0);
+  const scores = {};
+  for (const type in raw) scores[type] = total > 0 ? raw[type] / total : 0.25;
+
+  const type = Object.keys(scores).reduce((best, name) =>
+    scores[name] > scores[best] ? name : best
+  );
+
+  const reasons = [
+    `IC is ${Math.round(
+      textRatio * 100
+    )}% of the way from random to the language`,
+  ];
+  if (type === "transposition" || type === "monoalphabetic") {
+    reasons.push(
+      plainLetters > 0.5
+        ? "letter frequencies match the language unshifted"
+        : "letter frequencies are the language's, but on other letters"
+    );
+  }
+  if (period && (type === "polyalphabetic" || type === "random")) {
+    reasons.push(
+      `columns of key length ${period} reach ${Math.round(
+        periodRatio * 100
+      )}% of the language IC`
+    );
+  }
+  if (letterCount < 100) {
+    reasons.push(`only ${letterCount} letters, statistics are unreliable`);
+  }
+
+  return {
+    type,
+    confidence: scores[type],
+    period: type === "polyalphabetic" ? period : null,
+    scores,
+    reasons,
+  };
+};
+
+/**
+ * Full statistics report of a text
+ * @param {string} text - The ciphertext
+ * @param {Object} options - maxKeyLength, alphabet (letters to count), language, limit (n-grams and repeats listed)
+ * @returns {Object} - IC, histogram, n-grams, per-column IC, repeats and the cipher type guess
+ */
+const analyzeText = (text, options = {}) => {
+  const {
+    maxKeyLength = 20,
+    alphabet = STANDARD_ALPHABET,
+    language,
+    limit = 25,
+  } = options;
+  const profile = resolveLanguage(language);
+  const expectedFrequencies = getLanguageFrequencies(profile, alphabet);
+  const letters = Array.from(text.toUpperCase())
+    .filter((char) => alphabet.has(char))
+    .join("");
+
+  const ic = calculateIC(letters, alphabet);
+  const randomIC = 1 / alphabet.size;
+  const frequencies = getFrequencies(letters, alphabet);
+  const chiSquared = calculateChiSquared(frequencies, expectedFrequencies);
+
+  const histogram = Array.from(alphabet.letters).map((letter) => ({
+    letter,
+    count: Math.round((frequencies[letter] || 0) * letters.length),
+    frequency: frequencies[letter] || 0,
+    expected: expectedFrequencies[letter] || 0,
+  }));
+
+  const columns = [];
+  for (let keyLength = 1; keyLength <= maxKeyLength; keyLength++) {
+    const columnICs = getSequences(letters, keyLength, alphabet).map(
+      (sequence) => calculateIC(sequence, alphabet)
+    );
+    columns.push({
+      keyLength,
+      avgIC: columnICs.reduce((sum, value) => sum + value, 0) / keyLength,
+      columnICs,
+    });
+  }
+
+  // the shortest key length whose columns come close to the best IC
+  const periodic = columns.filter(
+    (column) =>
+      column.keyLength > 1 &&
+      letters.length / column.keyLength >= MIN_COLUMN_LETTERS
+  );
+  const bestIC = Math.max(0, ...periodic.map((column) => column.avgIC));
+  const period = periodic.find((column) => column.avgIC >= bestIC * 0.9);
+
+  const repeats = findRepeatedSequences(letters, { alphabet }).slice(0, limit);
+
+  return {
+    letterCount: letters.length,
+    ic,
+    expectedIC: profile.expectedIC,
+    randomIC,
+    chiSquared,
+    histogram,
+    bigrams: countNgrams(letters, 2, limit),
+    trigrams: countNgrams(letters, 3, limit),
+    columns,
+    repeats,
+    guess: guessCipherType({
+      icRatio: icRatio(ic, randomIC, profile.expectedIC),
+      periodRatio: period
+        ? icRatio(period.avgIC, randomIC, profile.expectedIC)
+        : 0,
+      period: period ? period.keyLength : null,
+      chiSquared,
+      letterCount: letters.length,
+    }),
+  };
+};
+
+module.exports = {
+  TRANSPOSITION_CHI_SQUARED,
+  icRatio,
+  analyzeText,
+  guessCipherType,
+};
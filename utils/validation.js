@@ -0,0 +1,250 @@
+// request validation: a small JSON schema checker for request bodies, and the
+// error envelope every rejected request is answered with:
+//   { error: { code, field, message } }
+// supported keywords: type, enum, const, minimum, maximum, minLength, maxLength,
+// pattern (with x-message), items, minItems, maxItems, properties, required,
+// oneOf (the first option of the value's type is used) and if / then / else
+
+// a rejected request: code is machine readable, field is the path of the value (or null)
+const requestError = (code, field, message) => ({ code, field, message });
+
+const sendRequestError = (res, error, status = 400, extra = {}) => {
+  return res.status(status).json({ error, ...extra });
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "true or false",
+  array: "an array",
+  object: "an object",
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+};
+
+const fieldName = (field) => field || "body";
+
+const childField = (field, name) => (field ? `${field}.${name}` : name);
+
+// "between 1 and 30", "at least 1" or "at most 30"
+const describeRange = (min, max) => {
+  if (min !== undefined && max !== undefined) {
+    return `between ${min} and ${max}`;
+  }
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+};
+
+const checkNumber = (schema, value, field) => {
+  const { minimum: min, maximum: max } = schema;
+  if (
+    (min !== undefined && value < min) ||
+    (max !== undefined && value > max)
+  ) {
+    return [
+      requestError(
+        "out_of_range",
+        field,
+        `${fieldName(field)} must be ${describeRange(min, max)}`
+      ),
+    ];
+  }
+  return [];
+};
+
+const checkString = (schema, value, field) => {
+  const { minLength, maxLength, pattern } = schema;
+  if (minLength !== undefined && value.length < minLength) {
+    return [
+      requestError(
+        "too_short",
+        field,
+        minLength === 1
+          ? `${fieldName(field)} must not be empty`
+          : `${fieldName(field)} must be at least ${minLength} characters`
+      ),
+    ];
+  }
+  if (maxLength !== undefined && value.length > maxLength) {
+    return [
+      requestError(
+        "too_long",
+        field,
+        `${fieldName(field)} must be at most ${maxLength} characters`
+      ),
+    ];
+  }
+  if (pattern !== undefined && !new RegExp(pattern, "u").test(value)) {
+    return [
+      requestError(
+        "invalid_format",
+        field,
+        schema["x-message"] || `${fieldName(field)} has an invalid format`
+      ),
+    ];
+  }
+  return [];
+};
+
+const checkArray = (schema, value, field) => {
+  const { minItems, maxItems, items } = schema;
+  if (minItems !== undefined && value.length < minItems) {
+    return [
+      requestError(
+        "too_short",
+        field,
+        `${fieldName(field)} must hold at least ${minItems} item${
+          minItems === 1 ? "" : "s"
+        }`
+      ),
+    ];
+  }
+  if (maxItems !== undefined && value.length > maxItems) {
+    return [
+      requestError(
+        "too_long",
+        field,
+        `${fieldName(field)} must hold at most ${maxItems} items`
+      ),
+    ];
+  }
+  if (!items) return [];
+  return value.flatMap((item, index) =>
+    validateSchema(items, item, `${fieldName(field)}[${index}]`)
+  );
+};
+
+const checkObject = (schema, value, field) => {
+  const { required = [], properties = {} } = schema;
+  const missing = required
+    .filter((name) => value[name] === undefined)
+    .map((name) =>
+      requestError(
+        "required",
+        childField(field, name),
+        `${childField(field, name)} is required`
+      )
+    );
+  const invalid = Object.keys(properties)
+    .filter((name) => value[name] !== undefined)
+    .flatMap((name) =>
+      validateSchema(properties[name], value[name], childField(field, name))
+    );
+  return missing.concat(invalid);
+};
+
+// check a value against a schema, returns the errors found (empty when it is valid)
+const validateSchema = (schema, value, field = null) => {
+  if (!schema) return [];
+
+  if (schema.oneOf) {
+    const option = schema.oneOf.find(
+      (candidate) => !candidate.type || matchesType(candidate.type, value)
+    );
+    if (!option) {
+      const names = schema.oneOf.map((candidate) => TYPE_NAMES[candidate.type]);
+      return [
+        requestError(
+          "invalid_type",
+          field,
+          `${fieldName(field)} must be ${names.join(" or ")}`
+        ),
+      ];
+    }
+    return validateSchema(option, value, field);
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [
+      requestError(
+        "invalid_type",
+        field,
+        `${fieldName(field)} must be ${TYPE_NAMES[schema.type]}`
+      ),
+    ];
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return [
+      requestError(
+        "invalid_value",
+        field,
+        `${fieldName(field)} must be ${JSON.stringify(schema.const)}`
+      ),
+    ];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      requestError(
+        "invalid_value",
+        field,
+        `${fieldName(field)} must be one of: ${schema.enum.join(", ")}`
+      ),
+    ];
+  }
+
+  let errors = [];
+  if (typeof value === "number") {
+    errors = checkNumber(schema, value, field);
+  } else if (typeof value === "string") {
+    errors = checkString(schema, value, field);
+  } else if (Array.isArray(value)) {
+    errors = checkArray(schema, value, field);
+  } else if (matchesType("object", value)) {
+    errors = checkObject(schema, value, field);
+  }
+
+  if (schema.if) {
+    const branch =
+      validateSchema(schema.if, value, field).length === 0
+        ? schema.then
+        : schema.else;
+    errors = errors.concat(validateSchema(branch, value, field));
+  }
+
+  return errors;
+};
+
+// middleware that rejects a request whose body doesn't fit the schema
+// the schema stays on the middleware, the OpenAPI document is built from it
+const validateBody = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = validateSchema(
+      schema,
+      req.body === undefined ? {} : req.body
+    );
+    if (errors.length === 0) return next();
+
+    return sendRequestError(
+      res,
+      errors[0],
+      400,
+      errors.length > 1 ? { errors } : {}
+    );
+  };
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  requestError,
+  sendRequestError,
+  validateSchema,
+  validateBody,
+};
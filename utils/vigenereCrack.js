@@ -0,0 +1,1093 @@
+// vigenereCrack.js - the vigenere crack methods, run inside a worker thread
+// (see workers/cipherWorker.js) through the vigenere cipher plugin
+const vigenereLogic = require("./vigenereLogic");
+const {
+  resolveAlphabet,
+  describeAlphabet,
+  keyedAlphabet,
+  needsKeywordSearch,
+  createAlphabet,
+  STANDARD_ALPHABET,
+  STANDARD_LETTERS,
+} = require("./alphabet");
+const { rankKeyLengths } = require("./kasiski");
+const { annealKey } = require("./annealing");
+const { FITNESS_FUNCTIONS } = require("./ngramScoring");
+const { getDictionary, getKnownKeys, getWordlist } = require("./datasets");
+const {
+  generateCandidates,
+  countCandidates,
+  SAMPLE_LETTERS,
+} = require("./keyMutations");
+const { cribAttack } = require("./cribAttack");
+const { analyzeKeyColumns } = require("./keyColumns");
+const { identifyCipher } = require("./cipherIdentifier");
+const { analyzeText } = require("./textAnalysis");
+const { getLanguageAlphabet } = require("./languages");
+const crackShards = require("./crackShards");
+
+// listener of the task being cracked, a worker runs one task at a time
+let progressListener = () => {};
+
+// send the best guess so far to the pool (stage, keyLength, iteration, bestKey, score)
+function reportProgress(progress) {
+  progressListener(progress);
+}
+
+// refineKey progress, tagged with the key length being refined
+function refineProgress(keyLength) {
+  return (progress) => reportProgress({ ...progress, keyLength });
+}
+
+// the letters statistics are counted over
+// mixed alphabets don't change letter repeats or IC, only the letter set matters
+function analysisAlphabet(alphabet, language, extendedAlphabet) {
+  let letters = extendedAlphabet
+    ? getLanguageAlphabet(language)
+    : STANDARD_LETTERS;
+  if (alphabet && alphabet.type === "custom") {
+    letters = alphabet.ciphertextAlphabet || alphabet.plaintextAlphabet;
+  }
+  return createAlphabet(letters);
+}
+
+// Shared processing function
+// context.reportProgress receives the progress updates of the crack
+async function processTask(task, context = {}) {
+  progressListener = context.reportProgress || (() => {});
+  const {
+    ciphertext,
+    maxKeyLength,
+    targetRecognition,
+    maxIterations,
+    useBruteForce,
+    // brute force shards get a slice [start, end) of the known keys
+    knownKeyRange = null,
+    variant = "vigenere",
+    alphabet,
+    keywordCandidates,
+    language = "english",
+    fitness = "words",
+    method = "cryptanalysis",
+    anneal = {},
+    // set when the crack is split into shards, otherwise the worker picks them
+    keyLengths = null,
+    // several messages enciphered with one key, for the shared-key method
+    ciphertexts,
+    // dictionary method: an uploaded wordlist and its owner (the known keys by default),
+    // the mutation rules and, for shards, a slice [start, end) of the words
+    wordlist = null,
+    wordlistOwner,
+    mutations,
+    pairWords,
+    wordRange,
+    // refine method: the key to continue from (e.g. of a saved session),
+    // anneal method: the key the first restart starts from
+    seedKey,
+    // crib method: the known words; columns method: the key and the one position
+    cribs,
+    key,
+    column,
+    limit,
+    // analysis methods: count over the full alphabet of the language
+    extendedAlphabet = false,
+  } = task;
+
+  // the identification checked before a crack, as heavy as a short one
+  // (no language scores against every profile)
+  if (method === "identify") {
+    console.log("[WORKER] Running identifyCipher...");
+    return identifyCipher(ciphertext, {
+      language: task.language,
+      maxKeyLength,
+    });
+  }
+
+  // the statistics reports of /analyze and /analyze/keylength
+  if (method === "analyze-text" || method === "analyze-keylength") {
+    const analysisOptions = {
+      alphabet: analysisAlphabet(alphabet, language, extendedAlphabet),
+      language,
+    };
+    if (method === "analyze-text") {
+      console.log("[WORKER] Running analyzeText...");
+      return analyzeText(ciphertext, {
+        maxKeyLength,
+        limit,
+        ...analysisOptions,
+      });
+    }
+
+    console.log("[WORKER] Running rankKeyLengths...");
+    const { candidates, kasiski, friedman } = rankKeyLengths(
+      ciphertext,
+      maxKeyLength,
+      analysisOptions
+    );
+    return {
+      keyLengths: candidates.map((candidate) => ({
+        length: candidate.length,
+        confidence: candidate.confidence,
+        avgIC: candidate.avgIC,
+        kasiskiCount: candidate.kasiskiCount,
+        friedmanScore: candidate.friedmanScore,
+        multipleOf: candidate.multipleOf,
+      })),
+      kasiski: {
+        factorCounts: kasiski.factorCounts,
+        totalSpacings: kasiski.totalSpacings,
+        repeats: kasiski.repeats.slice(0, 25),
+      },
+      friedman,
+    };
+  }
+
+  // the key lengths a sharded crack is split over, ranked before the shards start
+  if (method === "keylengths") {
+    console.log("[WORKER] Running candidateKeyLengths...");
+    return { keyLengths: crackShards.candidateKeyLengths(task) };
+  }
+
+  // datasets live in the worker, tasks don't carry them
+  const dictionary = getDictionary(language);
+  const knownKeys = knownKeyRange
+    ? getKnownKeys().slice(knownKeyRange[0], knownKeyRange[1])
+    : getKnownKeys();
+
+  let result;
+  if (needsKeywordSearch(alphabet)) {
+    console.log("[WORKER] Running keywordSearchCrack...");
+    result = await keywordSearchCrack(
+      ciphertext,
+      maxKeyLength,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      { variant, alphabet, language, fitness },
+      keywordCandidates || getKnownKeys()
+    );
+    console.log("[WORKER] Result calculated:", result.method);
+    return result;
+  }
+
+  const cipherOptions = {
+    variant,
+    alphabet: resolveAlphabet(alphabet),
+    language,
+    fitness,
+  };
+
+  // the crib attack and the column analysis aren't cracks, but just as heavy
+  if (method === "crib") {
+    console.log("[WORKER] Running cribAttack...");
+    return cribAttack(ciphertext, cribs, {
+      maxKeyLength,
+      limit,
+      dictionary,
+      ...cipherOptions,
+    });
+  }
+  if (method === "columns") {
+    console.log("[WORKER] Running analyzeKeyColumns...");
+    return analyzeKeyColumns(ciphertext, key, {
+      column,
+      limit,
+      dictionary,
+      ...cipherOptions,
+    });
+  }
+
+  if (method === "shared-key") {
+    console.log("[WORKER] Running sharedKeyCrack...");
+    result = await sharedKeyCrack(
+      ciphertexts,
+      maxKeyLength,
+      dictionary,
+      cipherOptions
+    );
+  } else if (method === "anneal") {
+    console.log("[WORKER] Running annealCrack...");
+    result = await annealCrack(
+      ciphertext,
+      maxKeyLength,
+      dictionary,
+      cipherOptions,
+      { ...anneal, seedKey },
+      keyLengths
+    );
+  } else if (method === "refine") {
+    console.log("[WORKER] Running refineCrack...");
+    result = refineCrack(
+      ciphertext,
+      seedKey,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      cipherOptions
+    );
+  } else if (method === "dictionary") {
+    console.log("[WORKER] Running dictionaryCrack...");
+    const words = wordlist
+      ? getWordlist(wordlistOwner, wordlist)
+      : getKnownKeys();
+    if (!words) throw new Error(`Wordlist ${wordlist} not found`);
+    const generatorOptions = {
+      range: wordRange,
+      rules: mutations,
+      pairWords,
+      maxKeyLength,
+    };
+    // the candidates are ranked on the start of the text, their scores are those
+    // of the sample; the best key decrypts the whole text
+    const sample = vigenereLogic.sampleText(
+      ciphertext,
+      SAMPLE_LETTERS,
+      cipherOptions.alphabet
+    );
+    result = await bruteForceCrack(
+      sample,
+      generateCandidates(words, generatorOptions),
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      cipherOptions,
+      {
+        total: countCandidates(words, generatorOptions),
+        method: "dictionary",
+      }
+    );
+    if (result.topResults.length > 0) {
+      result.fullDecryption = vigenereLogic.decryptWithKey(
+        ciphertext,
+        result.topResults[0].key,
+        cipherOptions
+      );
+    }
+    result.sampleLetters = Array.from(sample.toUpperCase()).filter((char) =>
+      cipherOptions.alphabet.cipher.has(char)
+    ).length;
+  } else if (useBruteForce && knownKeys && knownKeys.length > 0) {
+    console.log("[WORKER] Running bruteForceCrack...");
+    result = await bruteForceCrack(
+      ciphertext,
+      knownKeys,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      cipherOptions
+    );
+  } else {
+    console.log("[WORKER] Running geneticCrack...");
+    result = await cryptanalysisCrack(
+      ciphertext,
+      maxKeyLength,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      cipherOptions,
+      keyLengths
+    );
+  }
+
+  console.log("[WORKER] Result calculated:", result.method);
+  return result;
+}
+
+// most results a brute force or dictionary crack returns
+const MAX_TOP_RESULTS = 5000;
+
+// the best `limit` results seen so far, sorted by fitness score (higher is better)
+// results below the cut are dropped as they come, so memory stays bounded
+function createTopList(limit) {
+  const entries = [];
+  return {
+    add(entry) {
+      if (
+        entries.length === limit &&
+        entry.score <= entries[entries.length - 1].score
+      ) {
+        return;
+      }
+      // binary search for the first entry scoring lower
+      let low = 0;
+      let high = entries.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle].score >= entry.score) low = middle + 1;
+        else high = middle;
+      }
+      entries.splice(low, 0, entry);
+      if (entries.length > limit) entries.pop();
+    },
+    get entries() {
+      return entries;
+    },
+  };
+}
+
+// try every key of a list, or of a generator for the dictionary attack
+// total is only used for progress reports, method names the stage and the result
+function bruteForceCrack(
+  ciphertext,
+  keys,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  cipherOptions = {},
+  { total = keys.length, method = "brute-force" } = {}
+) {
+  const top = createTopList(MAX_TOP_RESULTS);
+  let best = null;
+  let index = 0;
+
+  // try each key
+  for (const key of keys) {
+    const decrypted = vigenereLogic.decryptWithKey(
+      ciphertext,
+      key,
+      cipherOptions
+    );
+
+    // word stats, chi-squared and the selected fitness score
+    const quality = vigenereLogic.scoreDecryption(
+      decrypted,
+      dictionary,
+      cipherOptions
+    );
+
+    top.add({
+      key,
+      keyLength: key.length,
+      ...quality,
+      preview: decrypted.substring(0, 1000),
+    });
+
+    if (!best || quality.score > best.score) {
+      best = { key, score: quality.score };
+    }
+    index++;
+    if (index % 500 === 0 || index === total) {
+      reportProgress({
+        stage: method,
+        iteration: index,
+        maxIterations: total,
+        keyLength: best.key.length,
+        bestKey: best.key,
+        score: best.score,
+      });
+    }
+  }
+
+  const topResults = top.entries;
+
+  // get full decryption of best result
+  const fullDecryption =
+    topResults.length > 0
+      ? vigenereLogic.decryptWithKey(
+          ciphertext,
+          topResults[0].key,
+          cipherOptions
+        )
+      : "";
+
+  // try to refine the best key if it's not good enough
+  if (
+    topResults.length > 0 &&
+    topResults[0].wordStats.percentage < targetRecognition
+  ) {
+    const bestKey = topResults[0].key;
+    const refinementResult = vigenereLogic.refineKey(
+      bestKey,
+      ciphertext,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      refineProgress(bestKey.length),
+      cipherOptions
+    );
+
+    // If refinement improved the key, add it to the results
+    if (
+      refinementResult.improved &&
+      refinementResult.score > topResults[0].score
+    ) {
+      const refinedDecryption = vigenereLogic.decryptWithKey(
+        ciphertext,
+        refinementResult.finalKey,
+        cipherOptions
+      );
+
+      // add the refined result as the new top result
+      topResults.unshift({
+        key: refinementResult.finalKey,
+        keyLength: refinementResult.finalKey.length,
+        wordStats: refinementResult.wordStats,
+        improved: true,
+        iterations: refinementResult.iterations,
+        chiSquared: refinementResult.chiSquared,
+        compositeScore: refinementResult.compositeScore,
+        fitness: refinementResult.fitness,
+        score: refinementResult.score,
+        preview: refinedDecryption.substring(0, 100),
+      });
+
+      // update full decryption with the refined result
+      return {
+        topResults,
+        fullDecryption: refinedDecryption,
+        method: `${method}-with-refinement`,
+        variant: cipherOptions.variant,
+        alphabet: describeAlphabet(resolveAlphabet(cipherOptions.alphabet)),
+        language: cipherOptions.language,
+        fitness: cipherOptions.fitness,
+      };
+    }
+  }
+
+  return {
+    topResults,
+    fullDecryption,
+    method,
+    variant: cipherOptions.variant,
+    alphabet: describeAlphabet(resolveAlphabet(cipherOptions.alphabet)),
+    language: cipherOptions.language,
+    fitness: cipherOptions.fitness,
+  };
+}
+
+// the statistics of fewer cipher letters say nothing, the controller refuses them up front
+const MIN_CRYPTANALYSIS_LETTERS = 20;
+
+// ******************************   this function used only when brute force is false   ******************************
+function cryptanalysisCrack(
+  ciphertext,
+  maxKeyLength,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  cipherOptions = {},
+  keyLengths = null
+) {
+  const { variant = "vigenere" } = cipherOptions;
+  const tableau = resolveAlphabet(cipherOptions.alphabet);
+
+  // clean the ciphertext for analysis
+  const cleanText = Array.from(ciphertext.toUpperCase())
+    .filter((char) => tableau.cipher.has(char))
+    .join("");
+
+  if (cleanText.length < MIN_CRYPTANALYSIS_LETTERS) {
+    throw new Error("Ciphertext too short for reliable analysis");
+  }
+
+  // a running key never repeats, so there is no period to analyse
+  if (variant === "running-key") {
+    throw new Error(
+      "Running-key ciphers cannot be cracked statistically, use brute force with known key texts"
+    );
+  }
+
+  // autokey keys are not periodic, so IC based key lengths don't apply
+  if (variant === "autokey") {
+    return autokeyCrack(
+      ciphertext,
+      maxKeyLength,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      cipherOptions,
+      keyLengths
+    );
+  }
+
+  // take top 3 most likely key lengths, ranked by IC, Kasiski factors and the Friedman estimate
+  const likelyKeyLengths =
+    keyLengths ||
+    rankKeyLengths(ciphertext, maxKeyLength, {
+      alphabet: tableau.cipher,
+      language: cipherOptions.language,
+    })
+      .candidates.slice(0, 3)
+      .map((item) => item.length);
+
+  let bestResult = null;
+
+  // try each likely key length
+  for (const keyLength of likelyKeyLengths) {
+    const sequences = vigenereLogic.getSequences(
+      ciphertext,
+      keyLength,
+      tableau.cipher
+    );
+
+    const shiftOptions = sequences.map((seq) =>
+      vigenereLogic.findBestShifts(seq, 10, cipherOptions)
+    );
+
+    const potentialKeys = vigenereLogic.generateKeys(
+      shiftOptions,
+      cipherOptions
+    );
+
+    const keyResults = [];
+    for (const key of potentialKeys) {
+      const quality = vigenereLogic.rateKeyQuality(
+        key,
+        ciphertext,
+        dictionary,
+        cipherOptions
+      );
+      keyResults.push(quality);
+    }
+
+    // sort by fitness score (higher is better)
+    keyResults.sort((a, b) => b.score - a.score);
+
+    // keep best result
+    if (keyResults.length > 0) {
+      const bestKeyForLength = keyResults[0];
+      if (!bestResult || bestKeyForLength.score > bestResult.score) {
+        bestResult = bestKeyForLength;
+      }
+    }
+
+    if (bestResult) {
+      reportProgress({
+        stage: "cryptanalysis",
+        keyLength,
+        bestKey: bestResult.key,
+        score: bestResult.score,
+      });
+    }
+  }
+
+  // If there is no result found
+  if (!bestResult) {
+    return {
+      topResults: [],
+      message: "Could not find a viable key",
+      method: "cryptanalysis",
+      variant,
+      alphabet: describeAlphabet(tableau),
+      language: cipherOptions.language,
+      fitness: cipherOptions.fitness,
+    };
+  }
+
+  return buildRefinedResult(
+    bestResult,
+    ciphertext,
+    dictionary,
+    targetRecognition,
+    maxIterations,
+    cipherOptions,
+    "cryptanalysis"
+  );
+}
+
+// ******************************   autokey: each column is a chain decided by one primer letter   ******************************
+function autokeyCrack(
+  ciphertext,
+  maxKeyLength,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  cipherOptions,
+  primerLengths = null
+) {
+  let bestResult = null;
+
+  // every primer length is tried (unless a shard got a share of them),
+  // the plaintext chains decide which one fits
+  const lengths =
+    primerLengths || Array.from({ length: maxKeyLength }, (_, i) => i + 1);
+  for (const primerLength of lengths) {
+    const shiftOptions = [];
+    for (let column = 0; column < primerLength; column++) {
+      shiftOptions.push(
+        vigenereLogic.findBestAutokeyShifts(
+          ciphertext,
+          primerLength,
+          column,
+          3,
+          cipherOptions
+        )
+      );
+    }
+
+    const potentialKeys = vigenereLogic.generateKeys(
+      shiftOptions,
+      cipherOptions
+    );
+
+    for (const key of potentialKeys) {
+      const quality = vigenereLogic.rateKeyQuality(
+        key,
+        ciphertext,
+        dictionary,
+        cipherOptions
+      );
+      if (!bestResult || quality.score > bestResult.score) {
+        bestResult = quality;
+      }
+    }
+
+    if (bestResult) {
+      reportProgress({
+        stage: "autokey-cryptanalysis",
+        keyLength: primerLength,
+        bestKey: bestResult.key,
+        score: bestResult.score,
+      });
+    }
+  }
+
+  if (!bestResult) {
+    return {
+      topResults: [],
+      message: "Could not find a viable key",
+      method: "autokey-cryptanalysis",
+      variant: cipherOptions.variant,
+      alphabet: describeAlphabet(resolveAlphabet(cipherOptions.alphabet)),
+      language: cipherOptions.language,
+      fitness: cipherOptions.fitness,
+    };
+  }
+
+  return buildRefinedResult(
+    bestResult,
+    ciphertext,
+    dictionary,
+    targetRecognition,
+    maxIterations,
+    cipherOptions,
+    "autokey-cryptanalysis"
+  );
+}
+
+// ******************************   simulated annealing over the top key lengths   ******************************
+function annealCrack(
+  ciphertext,
+  maxKeyLength,
+  dictionary,
+  cipherOptions,
+  settings = {},
+  candidateKeyLengths = null
+) {
+  const { variant = "vigenere" } = cipherOptions;
+  const tableau = resolveAlphabet(cipherOptions.alphabet);
+
+  if (variant === "running-key") {
+    throw new Error(
+      "Running-key ciphers cannot be cracked statistically, use brute force with known key texts"
+    );
+  }
+
+  // autokey primers aren't periodic, so every length is tried instead of the ranked ones
+  let keyLengths;
+  if (candidateKeyLengths) {
+    keyLengths = candidateKeyLengths;
+  } else if (variant === "autokey") {
+    keyLengths = Array.from({ length: maxKeyLength }, (_, i) => i + 1);
+  } else {
+    keyLengths = rankKeyLengths(ciphertext, maxKeyLength, {
+      alphabet: tableau.cipher,
+      language: cipherOptions.language,
+    })
+      .candidates.slice(0, 3)
+      .map((item) => item.length);
+  }
+
+  // a seed key is only used at its own length, which is tried first
+  const { seedKey, seeded = true } = settings;
+  const seedLength = seedKey ? Array.from(seedKey).length : 0;
+  if (seedLength > 0 && seeded && !keyLengths.includes(seedLength)) {
+    keyLengths = [seedLength, ...keyLengths];
+  }
+
+  // number of n-grams in the text, to turn annealing totals into average scores
+  const gramCount = Math.max(
+    1,
+    Array.from(ciphertext.toUpperCase()).filter((char) =>
+      tableau.cipher.has(char)
+    ).length -
+      FITNESS_FUNCTIONS[cipherOptions.fitness].n +
+      1
+  );
+
+  // the time budget is shared between the key lengths
+  const timeBudget = (settings.timeBudget || 10000) / keyLengths.length;
+
+  const topResults = keyLengths.map((keyLength) => {
+    const annealed = annealKey(ciphertext, keyLength, cipherOptions, {
+      ...settings,
+      timeBudget,
+      progressCallback: ({ restart, iteration, bestKey, total }) =>
+        reportProgress({
+          stage: "anneal",
+          keyLength,
+          restart,
+          iteration,
+          bestKey,
+          score: total / gramCount,
+        }),
+    });
+    const quality = vigenereLogic.rateKeyQuality(
+      annealed.key,
+      ciphertext,
+      dictionary,
+      cipherOptions
+    );
+
+    return {
+      key: annealed.key,
+      keyLength,
+      wordStats: quality.wordStats,
+      chiSquared: quality.chiSquared,
+      compositeScore: quality.compositeScore,
+      fitness: quality.fitness,
+      score: quality.score,
+      restarts: annealed.restarts,
+      iterations: annealed.iterations,
+      preview: quality.decrypted.substring(0, 100),
+    };
+  });
+
+  // sort by fitness score (higher is better)
+  topResults.sort((a, b) => b.score - a.score);
+
+  return {
+    topResults,
+    fullDecryption: vigenereLogic.decryptWithKey(
+      ciphertext,
+      topResults[0].key,
+      cipherOptions
+    ),
+    method: "anneal",
+    variant,
+    alphabet: describeAlphabet(tableau),
+    language: cipherOptions.language,
+    fitness: cipherOptions.fitness,
+  };
+}
+
+// ******************************   one key for many messages: analyse their columns together   ******************************
+function sharedKeyCrack(ciphertexts, maxKeyLength, dictionary, cipherOptions) {
+  const tableau = resolveAlphabet(cipherOptions.alphabet);
+
+  // each message restarts the key, so column i of every message uses the same key letter
+  const lengths = [];
+  for (let keyLength = 1; keyLength <= maxKeyLength; keyLength++) {
+    const columns = vigenereLogic.getCombinedSequences(
+      ciphertexts,
+      keyLength,
+      tableau.cipher
+    );
+    const avgIC =
+      columns.reduce(
+        (sum, column) =>
+          sum + vigenereLogic.calculateIC(column, tableau.cipher),
+        0
+      ) / keyLength;
+    lengths.push({ keyLength, avgIC, columns });
+  }
+
+  // multiples of the key length have columns just as even, so the shortest
+  // lengths close to the best IC are tried
+  const bestIC = Math.max(...lengths.map((item) => item.avgIC));
+  const likelyLengths = lengths
+    .filter((item) => item.avgIC >= bestIC * 0.9)
+    .slice(0, 3);
+
+  // a key is rated on all the messages decrypted together
+  const rateSharedKey = (key) => {
+    const decryptions = ciphertexts.map((ciphertext) =>
+      vigenereLogic.decryptWithKey(ciphertext, key, cipherOptions)
+    );
+    return {
+      key,
+      decryptions,
+      ...vigenereLogic.scoreDecryption(
+        decryptions.join("\n"),
+        dictionary,
+        cipherOptions
+      ),
+    };
+  };
+
+  const keyResults = [];
+  for (const { keyLength, columns } of likelyLengths) {
+    const shiftOptions = columns.map((column) =>
+      vigenereLogic.findBestShifts(column, 10, cipherOptions)
+    );
+    const potentialKeys = vigenereLogic.generateKeys(
+      shiftOptions,
+      cipherOptions
+    );
+
+    let best = null;
+    for (const key of potentialKeys) {
+      const quality = rateSharedKey(key);
+      if (!best || quality.score > best.score) best = quality;
+    }
+    if (best) {
+      keyResults.push({ ...best, keyLength });
+      reportProgress({
+        stage: "shared-key",
+        keyLength,
+        bestKey: best.key,
+        score: best.score,
+      });
+    }
+  }
+
+  // sort by fitness score (higher is better)
+  keyResults.sort((a, b) => b.score - a.score);
+
+  return {
+    topResults: keyResults.map((item) => ({
+      key: item.key,
+      keyLength: item.keyLength,
+      wordStats: item.wordStats,
+      chiSquared: item.chiSquared,
+      compositeScore: item.compositeScore,
+      fitness: item.fitness,
+      score: item.score,
+      preview: item.decryptions[0].substring(0, 100),
+    })),
+    decryptions: keyResults.length > 0 ? keyResults[0].decryptions : [],
+    method: "shared-key",
+    variant: cipherOptions.variant,
+    alphabet: describeAlphabet(tableau),
+    language: cipherOptions.language,
+    fitness: cipherOptions.fitness,
+  };
+}
+
+// continue the search from a known key instead of analysing the text again
+function refineCrack(
+  ciphertext,
+  seedKey,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  cipherOptions
+) {
+  const decrypted = vigenereLogic.decryptWithKey(
+    ciphertext,
+    seedKey,
+    cipherOptions
+  );
+  const seed = {
+    key: seedKey,
+    decrypted,
+    ...vigenereLogic.scoreDecryption(decrypted, dictionary, cipherOptions),
+  };
+  return buildRefinedResult(
+    seed,
+    ciphertext,
+    dictionary,
+    targetRecognition,
+    maxIterations,
+    cipherOptions,
+    "refine"
+  );
+}
+
+// refine the best key found by analysis and shape the worker response
+function buildRefinedResult(
+  bestResult,
+  ciphertext,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  cipherOptions,
+  method
+) {
+  // try to refine the best key
+  const refinementResult = vigenereLogic.refineKey(
+    bestResult.key,
+    ciphertext,
+    dictionary,
+    targetRecognition,
+    maxIterations,
+    refineProgress(bestResult.key.length),
+    cipherOptions
+  );
+
+  // create the top results array
+  const topResults = [
+    {
+      key: refinementResult.finalKey,
+      keyLength: refinementResult.finalKey.length,
+      wordStats: refinementResult.wordStats,
+      chiSquared: refinementResult.chiSquared,
+      compositeScore: refinementResult.compositeScore,
+      fitness: refinementResult.fitness,
+      score: refinementResult.score,
+      improved: refinementResult.improved,
+      iterations: refinementResult.iterations,
+      preview: refinementResult.decrypted.substring(0, 100),
+    },
+  ];
+
+  // add original result if different from refined
+  if (refinementResult.finalKey !== bestResult.key) {
+    topResults.push({
+      key: bestResult.key,
+      keyLength: bestResult.key.length,
+      wordStats: bestResult.wordStats,
+      chiSquared: bestResult.chiSquared,
+      compositeScore: bestResult.compositeScore,
+      fitness: bestResult.fitness,
+      score: bestResult.score,
+      preview: bestResult.decrypted.substring(0, 1000),
+    });
+  }
+
+  return {
+    topResults,
+    fullDecryption: refinementResult.decrypted,
+    method,
+    variant: cipherOptions.variant,
+    alphabet: describeAlphabet(resolveAlphabet(cipherOptions.alphabet)),
+    language: cipherOptions.language,
+    fitness: cipherOptions.fitness,
+  };
+}
+
+// ******************************   quagmire with unknown keyword: search the mixed alphabet   ******************************
+function keywordSearchCrack(
+  ciphertext,
+  maxKeyLength,
+  dictionary,
+  targetRecognition,
+  maxIterations,
+  { variant, alphabet, language, fitness },
+  candidates
+) {
+  // the letters the mixed alphabets are built from (A-Z unless the spec gives a base)
+  const base = alphabet.base
+    ? createAlphabet(alphabet.base)
+    : STANDARD_ALPHABET;
+  const size = base.size;
+
+  // IC doesn't depend on how the alphabets are mixed, so the key length is found once
+  // and only the best one is used to keep the keyword loop affordable
+  const keyLengths = rankKeyLengths(ciphertext, maxKeyLength, {
+    alphabet: base,
+    language,
+  })
+    .candidates.slice(0, 1)
+    .map((item) => item.length);
+
+  // letter counts per column, kept as arrays so each keyword is cheap to score
+  const columnsByLength = keyLengths.map((keyLength) =>
+    vigenereLogic.getSequences(ciphertext, keyLength, base).map((seq) => {
+      const counts = new Array(size).fill(0);
+      for (const char of seq.toUpperCase()) {
+        counts[base.indexOf(char)]++;
+      }
+      return {
+        counts: counts.map((count) => count / seq.length),
+        length: seq.length,
+      };
+    })
+  );
+
+  const { cipher, frequencies } = vigenereLogic.getCipher({
+    variant,
+    alphabet: { type: "standard", base: base.letters },
+    language,
+  });
+  const expected = Array.from(
+    base.letters,
+    (letter) => frequencies[letter] || 0
+  );
+
+  // score each distinct mixed alphabet by the best per-column chi-squared
+  const seen = new Set();
+  const scored = [];
+  for (const candidate of candidates) {
+    if (!/^\p{L}{3,}$/u.test(candidate)) continue;
+    const keyword = candidate.toUpperCase();
+    const letters = keyedAlphabet(keyword, base.letters).letters;
+    if (seen.has(letters)) continue;
+    seen.add(letters);
+
+    // base index of each plaintext position and tableau position of each base letter,
+    // so the inner loops are array lookups only
+    const tableau = resolveAlphabet({ ...alphabet, keyword });
+    const plainIndexes = Array.from(base.letters, (_, position) =>
+      base.indexOf(tableau.plain.charAt(position))
+    );
+    const cipherPositions = Array.from(base.letters, (letter) =>
+      tableau.cipher.indexOf(letter)
+    );
+
+    let bestScore = Infinity;
+    for (const columns of columnsByLength) {
+      let total = 0;
+      for (const { counts, length } of columns) {
+        if (length === 0) continue;
+        let bestChi = Infinity;
+        for (let shift = 0; shift < size; shift++) {
+          let chi = 0;
+          for (let c = 0; c < size; c++) {
+            const p =
+              plainIndexes[cipher.decrypt(cipherPositions[c], shift, size)];
+            if (expected[p] === 0) continue;
+            const diff = counts[c] - expected[p];
+            chi += (diff * diff) / expected[p];
+          }
+          if (chi < bestChi) bestChi = chi;
+        }
+        total += bestChi;
+      }
+      bestScore = Math.min(bestScore, total / columns.length);
+    }
+
+    scored.push({ keyword, score: bestScore });
+  }
+
+  if (scored.length === 0) {
+    throw new Error("No usable keyword candidates to recover the alphabet");
+  }
+
+  // run the full analysis on the few alphabets that fit English best
+  scored.sort((a, b) => a.score - b.score);
+
+  let best = null;
+  for (const { keyword } of scored.slice(0, 3)) {
+    const result = cryptanalysisCrack(
+      ciphertext,
+      maxKeyLength,
+      dictionary,
+      targetRecognition,
+      maxIterations,
+      {
+        variant,
+        alphabet: resolveAlphabet({ ...alphabet, keyword }),
+        language,
+        fitness,
+      }
+    );
+    if (
+      result.topResults.length > 0 &&
+      (!best || result.topResults[0].score > best.topResults[0].score)
+    ) {
+      best = result;
+    }
+  }
+
+  return {
+    ...best,
+    method: "keyword-search",
+    keywordCandidatesTried: scored.length,
+  };
+}
+
+module.exports = {
+  processTask,
+  MIN_CRYPTANALYSIS_LETTERS,
+};
@@ -1,44 +1,28 @@
 // this is the Core vigenere cipher operations
-
-// English letter frequencies (most common to least common)
-const ENGLISH_FREQUENCIES = {
-  E: 0.1202,
-  T: 0.091,
-  A: 0.0812,
-  O: 0.0768,
-  I: 0.0731,
-  N: 0.0695,
-  S: 0.0628,
-  R: 0.0602,
-  H: 0.0592,
-  D: 0.0432,
-  L: 0.0398,
-  U: 0.0288,
-  C: 0.0271,
-  M: 0.0261,
-  F: 0.023,
-  Y: 0.0211,
-  W: 0.0209,
-  G: 0.0203,
-  P: 0.0182,
-  B: 0.0149,
-  V: 0.0111,
-  K: 0.0069,
-  X: 0.0017,
-  Q: 0.0011,
-  J: 0.001,
-  Z: 0.0007,
-};
+const {
+  resolveAlphabet,
+  validateAlphabetSpec,
+  STANDARD_ALPHABET,
+} = require("./alphabet.js");
+const {
+  resolveLanguage,
+  getLanguageFrequencies,
+  ENGLISH_FREQUENCIES,
+} = require("./languages.js");
+const { ngramFitness } = require("./ngramScoring.js");
 
 // calculate Index of Coincidence (helps determine key length)
-const calculateIC = (text) => {
-  const cleanText = text.toUpperCase().replace(/[^A-Z]/g, "");
+const calculateIC = (text, alphabet = STANDARD_ALPHABET) => {
   const frequencies = {};
-  const length = cleanText.length;
+  let length = 0;
 
   // count each letter
-  for (let i = 0; i < length; i++) {
-    frequencies[cleanText[i]] = (frequencies[cleanText[i]] || 0) + 1;
+  for (const char of text) {
+    const letter = char.toUpperCase();
+    if (alphabet.has(letter)) {
+      frequencies[letter] = (frequencies[letter] || 0) + 1;
+      length++;
+    }
   }
 
   // calculate IC value
@@ -53,15 +37,14 @@ const calculateIC = (text) => {
 };
 
 // calculate frequency of each letter in the text
-const getFrequencies = (text) => {
-  const cleanText = text.toUpperCase();
+const getFrequencies = (text, alphabet = STANDARD_ALPHABET) => {
   const frequencies = {};
   let total = 0;
 
-  for (let i = 0; i < cleanText.length; i++) {
-    const char = cleanText[i];
-    if (/[A-Z]/.test(char)) {
-      frequencies[char] = (frequencies[char] || 0) + 1;
+  for (const char of text) {
+    const letter = char.toUpperCase();
+    if (alphabet.has(letter)) {
+      frequencies[letter] = (frequencies[letter] || 0) + 1;
       total++;
     }
   }
@@ -74,13 +57,15 @@ const getFrequencies = (text) => {
   return frequencies;
 };
 
-// compare letter frequencies to english using Chi-squared test
-const calculateChiSquared = (frequencies) => {
+// compare letter frequencies to a language (english by default) using Chi-squared test
+const calculateChiSquared = (
+  frequencies,
+  expectedFrequencies = ENGLISH_FREQUENCIES
+) => {
   let chiSquared = 0;
-  for (let i = 0; i < 26; i++) {
-    const letter = String.fromCharCode(65 + i);
+  for (const letter in expectedFrequencies) {
     const observed = frequencies[letter] || 0;
-    const expected = ENGLISH_FREQUENCIES[letter] || 0;
+    const expected = expectedFrequencies[letter] || 0;
     if (expected > 0) {
       chiSquared += Math.pow(observed - expected, 2) / expected;
     }
@@ -89,7 +74,7 @@ const calculateChiSquared = (frequencies) => {
 };
 
 // split text into sequences based on key length
-const getSequences = (text, keyLength) => {
+const getSequences = (text, keyLength, alphabet = STANDARD_ALPHABET) => {
   // create array to hold each sequence
   const sequences = Array(keyLength)
     .fill()
@@ -97,10 +82,10 @@ const getSequences = (text, keyLength) => {
   let j = 0;
 
   // distribute letters to sequences
-  for (let i = 0; i < text.length; i++) {
-    if (/[A-Z]/i.test(text[i])) {
+  for (const char of text) {
+    if (alphabet.has(char.toUpperCase())) {
       const position = j % keyLength;
-      sequences[position] += text[i];
+      sequences[position] += char;
       j++;
     }
   }
@@ -108,82 +93,256 @@ const getSequences = (text, keyLength) => {
   return sequences;
 };
 
-// find possible shifts for each sequence with improved frequency analysis
-const findBestShifts = (sequence, numOptions = 26) => {
+// columns of several texts enciphered with the same key, each text starting at the
+// first key letter: column i of every text is appended to column i of the others
+const getCombinedSequences = (
+  texts,
+  keyLength,
+  alphabet = STANDARD_ALPHABET
+) => {
+  const combined = Array(keyLength).fill("");
+  for (const text of texts) {
+    getSequences(text, keyLength, alphabet).forEach((sequence, i) => {
+      combined[i] += sequence;
+    });
+  }
+  return combined;
+};
+
+// supported cipher variants, each as a pair of per-letter formulas
+// working on alphabet positions (0 to n-1) and key shifts
+const VARIANTS = {
+  vigenere: {
+    encrypt: (p, k, n) => (p + k) % n,
+    decrypt: (c, k, n) => (c - k + n) % n,
+  },
+  // beaufort is reciprocal: the same formula encrypts and decrypts
+  beaufort: {
+    encrypt: (p, k, n) => (k - p + n) % n,
+    decrypt: (c, k, n) => (k - c + n) % n,
+  },
+  "variant-beaufort": {
+    encrypt: (p, k, n) => (p - k + n) % n,
+    decrypt: (c, k, n) => (c + k) % n,
+  },
+  // autokey extends the primer key with the plaintext itself
+  autokey: {
+    encrypt: (p, k, n) => (p + k) % n,
+    decrypt: (c, k, n) => (c - k + n) % n,
+    autokey: true,
+  },
+  // running key uses a long key text (e.g. a book passage) that never repeats
+  "running-key": {
+    encrypt: (p, k, n) => (p + k) % n,
+    decrypt: (c, k, n) => (c - k + n) % n,
+    runningKey: true,
+  },
+};
+
+const isValidVariant = (variant) => {
+  return Object.prototype.hasOwnProperty.call(VARIANTS, variant);
+};
+
+// check the variant and alphabet spec of a request
+// returns { field, message } naming the option that is wrong, or null
+const getCipherOptionsError = (
+  variant,
+  alphabet,
+  { cracking = false } = {}
+) => {
+  if (!isValidVariant(variant)) {
+    return {
+      field: "variant",
+      message: `Unknown variant, expected one of: ${Object.keys(VARIANTS).join(
+        ", "
+      )}`,
+    };
+  }
+
+  const alphabetError = validateAlphabetSpec(alphabet, {
+    allowMissingKeyword: cracking,
+  });
+  if (alphabetError) return { field: "alphabet", message: alphabetError };
+
+  // gronsfeld keys are digits, they can't be extended with plaintext letters
+  const type =
+    typeof alphabet === "string" ? alphabet : alphabet && alphabet.type;
+  if (
+    type === "gronsfeld" &&
+    (variant === "autokey" || variant === "running-key")
+  ) {
+    return {
+      field: "alphabet",
+      message: `The gronsfeld alphabet can't be combined with the ${variant} variant`,
+    };
+  }
+
+  return null;
+};
+
+// resolve the variant, tableau and language a set of cipher options refers to
+const getCipher = (options = {}) => {
+  const { variant = "vigenere", alphabet, language } = options;
+  const cipher = VARIANTS[variant];
+  if (!cipher) {
+    throw new Error(`Unknown cipher variant: ${variant}`);
+  }
+  const tableau = resolveAlphabet(alphabet);
+  const profile = resolveLanguage(language);
+  return {
+    cipher,
+    tableau,
+    profile,
+    frequencies: getLanguageFrequencies(profile, tableau.plain),
+  };
+};
+
+// decrypt a single upper case letter of the ciphertext alphabet with a shift
+const decryptLetter = (letter, shift, cipher, tableau) => {
+  const { plain, size } = tableau;
+  return plain.charAt(
+    cipher.decrypt(tableau.cipher.indexOf(letter), shift, size)
+  );
+};
+
+// score every shift of a sequence, best first: { shift, chiSquared, distributionScore, combinedScore }
+const rankShifts = (sequence, options = {}) => {
+  const { cipher, tableau, frequencies } = getCipher(options);
   const results = [];
 
-  // try all 26 possible shifts
-  for (let shift = 0; shift < 26; shift++) {
+  // try every possible shift (26 for letters, 10 for gronsfeld digits)
+  for (let shift = 0; shift < tableau.shiftCount; shift++) {
     let decrypted = "";
     // apply this shift to each character
-    for (let i = 0; i < sequence.length; i++) {
-      const char = sequence[i];
-      const code = char.charCodeAt(0);
-
-      if (code >= 65 && code <= 90) {
-        // ppercase
-        decrypted += String.fromCharCode(((code - 65 - shift + 26) % 26) + 65);
-      } else if (code >= 97 && code <= 122) {
-        // lowercase
-        decrypted += String.fromCharCode(((code - 97 - shift + 26) % 26) + 97);
+    for (const char of sequence) {
+      const letter = char.toUpperCase();
+      if (tableau.cipher.has(letter)) {
+        const decryptedChar = decryptLetter(letter, shift, cipher, tableau);
+        decrypted +=
+          char === letter ? decryptedChar : decryptedChar.toLowerCase();
       } else {
         decrypted += char;
       }
     }
 
-    // calculate how similar to English using multiple metrics
-    const frequencies = getFrequencies(decrypted);
-    const chiSquared = calculateChiSquared(frequencies);
+    results.push(scoreShift(shift, decrypted, tableau.plain, frequencies));
+  }
 
-    // calculate letter distribution score
-    let distributionScore = 0;
-    for (const letter in ENGLISH_FREQUENCIES) {
-      if (frequencies[letter]) {
-        distributionScore +=
-          frequencies[letter] * ENGLISH_FREQUENCIES[letter] * 100;
-      }
+  // sorted by combined metric
+  return results.sort((a, b) => a.combinedScore - b.combinedScore);
+};
+
+// find possible shifts for each sequence with improved frequency analysis
+const findBestShifts = (sequence, numOptions = 26, options = {}) => {
+  return rankShifts(sequence, options)
+    .slice(0, numOptions)
+    .map((r) => r.shift);
+};
+
+// calculate how similar a decrypted column is to the language using multiple metrics
+const scoreShift = (
+  shift,
+  decrypted,
+  alphabet = STANDARD_ALPHABET,
+  expectedFrequencies = ENGLISH_FREQUENCIES
+) => {
+  const frequencies = getFrequencies(decrypted, alphabet);
+  const chiSquared = calculateChiSquared(frequencies, expectedFrequencies);
+
+  // calculate letter distribution score
+  let distributionScore = 0;
+  for (const letter in expectedFrequencies) {
+    if (frequencies[letter]) {
+      distributionScore +=
+        frequencies[letter] * expectedFrequencies[letter] * 100;
     }
+  }
+
+  const combinedScore = chiSquared - distributionScore * 0.5;
+  return { shift, chiSquared, distributionScore, combinedScore };
+};
+
+// find possible primer letters for one column of an autokey cipher
+// with a primer of length L, plaintext[i] = cipher[i] - plaintext[i - L],
+// so guessing the primer letter of a column decrypts the whole column chain
+const findBestAutokeyShifts = (
+  text,
+  primerLength,
+  column,
+  numOptions = 26,
+  options = {}
+) => {
+  const { cipher, tableau, frequencies } = getCipher(options);
+  const letters = Array.from(text.toUpperCase()).filter((char) =>
+    tableau.cipher.has(char)
+  );
+  const results = [];
+
+  for (let shift = 0; shift < tableau.shiftCount; shift++) {
+    let decrypted = "";
+    let previous = shift;
 
-    const combinedScore = chiSquared - distributionScore * 0.5;
-    results.push({ shift, chiSquared, distributionScore, combinedScore });
+    for (let i = column; i < letters.length; i += primerLength) {
+      const plainLetter = decryptLetter(letters[i], previous, cipher, tableau);
+      decrypted += plainLetter;
+      previous = tableau.shiftFor(plainLetter);
+    }
+
+    results.push(scoreShift(shift, decrypted, tableau.plain, frequencies));
   }
 
-  // return top shifts (sorted by combined metric)
   results.sort((a, b) => a.combinedScore - b.combinedScore);
   return results.slice(0, numOptions).map((r) => r.shift);
 };
 
 // convert shifts to a key string
-const shiftsToKey = (shifts) => {
-  return shifts.map((shift) => String.fromCharCode(shift + 65)).join("");
+const shiftsToKey = (shifts, options = {}) => {
+  const { tableau } = getCipher(options);
+  return shifts.map((shift) => tableau.keyFor(shift)).join("");
 };
 
-// decrypt text with a given key
-const decryptWithKey = (text, key) => {
-  if (!key) return text;
+// shared letter-by-letter transform used by both encrypt and decrypt
+// case is kept, non letters pass through and the key index only moves on letters
+const applyKey = (text, key, options, direction) => {
+  const { cipher, tableau } = getCipher(options);
+  const from = direction === "encrypt" ? tableau.plain : tableau.cipher;
+  const to = direction === "encrypt" ? tableau.cipher : tableau.plain;
+
+  // key stream as shifts, running keys may contain spaces and punctuation
+  const keyStream = Array.from(key)
+    .filter((symbol) => tableau.isKeySymbol(symbol))
+    .map((symbol) => tableau.shiftFor(symbol));
+  if (keyStream.length === 0) return text;
 
-  const upperKey = key.toUpperCase();
+  const primerLength = keyStream.length;
   let result = "";
   let keyIndex = 0;
 
-  for (let i = 0; i < text.length; i++) {
-    const char = text[i];
-    if (char.match(/[a-z]/i)) {
-      const isUpperCase = char === char.toUpperCase();
-      // convert to 0-25 range
-      const charCode = char.toUpperCase().charCodeAt(0) - 65;
-      const keyChar = upperKey[keyIndex % upperKey.length];
-      const keyCode = keyChar.charCodeAt(0) - 65;
-
-      // apply vigenere decryption formula
-      let decryptedCode = (charCode - keyCode + 26) % 26;
-      let decryptedChar = String.fromCharCode(decryptedCode + 65);
-
-      if (!isUpperCase) {
-        decryptedChar = decryptedChar.toLowerCase();
+  for (const char of text) {
+    const letter = char.toUpperCase();
+    if (from.has(letter)) {
+      const keyCode = cipher.autokey
+        ? keyStream[keyIndex]
+        : keyStream[keyIndex % primerLength];
+
+      const outputCode = cipher[direction](
+        from.indexOf(letter),
+        keyCode,
+        tableau.size
+      );
+      let outputChar = to.charAt(outputCode);
+
+      // autokey: the plaintext letter becomes part of the key
+      if (cipher.autokey) {
+        const plainLetter = direction === "encrypt" ? letter : outputChar;
+        keyStream.push(tableau.shiftFor(plainLetter));
+      }
+
+      if (char !== letter) {
+        outputChar = outputChar.toLowerCase();
       }
 
-      result += decryptedChar;
+      result += outputChar;
       keyIndex++;
     } else {
       // this is for keeping the non alphapitical char
@@ -194,11 +353,50 @@ const decryptWithKey = (text, key) => {
   return result;
 };
 
-// count recognized English words in text
+// decrypt text with a given key
+const decryptWithKey = (text, key, options = {}) => {
+  if (!key) return text;
+  return applyKey(text, key, options, "decrypt");
+};
+
+// encrypt text with a given key (mirror of decryptWithKey)
+const encryptWithKey = (text, key, options = {}) => {
+  if (!key) return text;
+  return applyKey(text, key, options, "encrypt");
+};
+
+// the start of a text up to its nth letter; the key stream only moves on letters,
+// so the sample decrypts exactly like the start of the whole text
+const sampleText = (text, letters, tableau) => {
+  let count = 0;
+  let end = 0;
+  for (const char of text) {
+    if (tableau.cipher.has(char.toUpperCase()) && ++count > letters) break;
+    end += char.length;
+  }
+  return text.substring(0, end);
+};
+
+// a key is only valid when every symbol is a key symbol of the alphabet
+// (letters, or digits for gronsfeld); running keys are passages of text,
+// so only their letters are used
+const isValidKey = (key, options = {}) => {
+  if (typeof key !== "string" || key.length === 0) return false;
+  const { variant = "vigenere" } = options;
+  const { tableau } = getCipher(options);
+  const symbols = Array.from(key);
+
+  if (variant === "running-key") {
+    return symbols.some((symbol) => tableau.isKeySymbol(symbol));
+  }
+  return symbols.every((symbol) => tableau.isKeySymbol(symbol));
+};
+
+// count recognized dictionary words in text (letters of any language, e.g. ñ or ü)
 const countRecognizedWords = (text, dictionary) => {
   const words = text
     .toLowerCase()
-    .split(/[^a-z]+/)
+    .split(/[^\p{L}]+/u)
     .filter((word) => word.length > 0);
 
   let recognizedCount = 0;
@@ -227,35 +425,41 @@ const countRecognizedWords = (text, dictionary) => {
 };
 
 // try variations of a key to improve it with higher target percentage
+// candidates are compared with the fitness function picked in options
 const refineKey = (
   initialKey,
   ciphertext,
   dictionary,
   targetPercentage,
   maxIters,
-  progressCallback
+  progressCallback,
+  options = {}
 ) => {
+  const { tableau } = getCipher(options);
   let bestKey = initialKey;
-  let bestDecrypted = decryptWithKey(ciphertext, bestKey);
-  let bestWordStats = countRecognizedWords(bestDecrypted, dictionary);
-  let bestScore = bestWordStats.percentage;
+  let bestDecrypted = decryptWithKey(ciphertext, bestKey, options);
+  let bestQuality = scoreDecryption(bestDecrypted, dictionary, options);
+  let bestWordStats = bestQuality.wordStats;
+  let bestScore = bestQuality.score;
   let iterations = 0;
   let improved = false;
   let lastImprovedIteration = 0;
 
   // this continue refining until we reach target or max iterations
   while (
-    (bestScore < targetPercentage && iterations < maxIters) ||
+    (bestWordStats.percentage < targetPercentage && iterations < maxIters) ||
     (iterations < maxIters && iterations - lastImprovedIteration < 20)
   ) {
     iterations++;
-    console.log(iterations);
     if (progressCallback) {
-      progressCallback(
-        `Refining key (iteration ${iterations}/${maxIters}). Current recognition: ${bestScore.toFixed(
-          2
-        )}%`
-      );
+      progressCallback({
+        stage: "refine",
+        iteration: iterations,
+        maxIterations: maxIters,
+        bestKey,
+        score: bestScore,
+        recognition: bestWordStats.percentage,
+      });
     }
 
     let foundBetter = false;
@@ -265,29 +469,33 @@ const refineKey = (
     // changing one letter at a time
     for (let pos = 0; pos < bestKey.length; pos++) {
       // random shuffling of shifts to prevent getting stuck in local maxima
-      const shiftOrder = Array.from({ length: 26 }, (_, i) => i);
+      const shiftOrder = Array.from(
+        { length: tableau.shiftCount },
+        (_, i) => i
+      );
       for (let i = shiftOrder.length - 1; i > 0; i--) {
         const j = Math.floor(Math.random() * (i + 1));
         [shiftOrder[i], shiftOrder[j]] = [shiftOrder[j], shiftOrder[i]];
       }
 
       for (const shift of shiftOrder) {
-        if (bestKey.charCodeAt(pos) - 65 === shift) continue;
+        if (tableau.shiftFor(bestKey[pos]) === shift) continue;
 
         const newKey =
           bestKey.substring(0, pos) +
-          String.fromCharCode(65 + shift) +
+          tableau.keyFor(shift) +
           bestKey.substring(pos + 1);
 
         //  key test
-        const decrypted = decryptWithKey(ciphertext, newKey);
-        const wordStats = countRecognizedWords(decrypted, dictionary);
+        const decrypted = decryptWithKey(ciphertext, newKey, options);
+        const quality = scoreDecryption(decrypted, dictionary, options);
 
-        if (wordStats.percentage > bestScore) {
+        if (quality.score > bestScore) {
           bestKey = newKey;
-          bestScore = wordStats.percentage;
+          bestScore = quality.score;
           bestDecrypted = decrypted;
-          bestWordStats = wordStats;
+          bestWordStats = quality.wordStats;
+          bestQuality = quality;
           foundBetter = true;
           improved = true;
           lastImprovedIteration = iterations;
@@ -304,14 +512,15 @@ const refineKey = (
           bestKey.charAt(pos) +
           bestKey.substring(pos + 2);
 
-        const decrypted = decryptWithKey(ciphertext, swappedKey);
-        const wordStats = countRecognizedWords(decrypted, dictionary);
+        const decrypted = decryptWithKey(ciphertext, swappedKey, options);
+        const quality = scoreDecryption(decrypted, dictionary, options);
 
-        if (wordStats.percentage > bestScore) {
+        if (quality.score > bestScore) {
           bestKey = swappedKey;
-          bestScore = wordStats.percentage;
+          bestScore = quality.score;
           bestDecrypted = decrypted;
-          bestWordStats = wordStats;
+          bestWordStats = quality.wordStats;
+          bestQuality = quality;
           foundBetter = true;
           improved = true;
           lastImprovedIteration = iterations;
@@ -330,28 +539,29 @@ const refineKey = (
       let newKey = bestKey;
       for (let i = 0; i < changeCount; i++) {
         const pos = Math.floor(Math.random() * newKey.length);
-        const randomShift = Math.floor(Math.random() * 26);
+        const randomShift = Math.floor(Math.random() * tableau.shiftCount);
         newKey =
           newKey.substring(0, pos) +
-          String.fromCharCode(65 + randomShift) +
+          tableau.keyFor(randomShift) +
           newKey.substring(pos + 1);
       }
 
-      const decrypted = decryptWithKey(ciphertext, newKey);
-      const wordStats = countRecognizedWords(decrypted, dictionary);
+      const decrypted = decryptWithKey(ciphertext, newKey, options);
+      const quality = scoreDecryption(decrypted, dictionary, options);
 
-      if (wordStats.percentage > bestScore) {
+      if (quality.score > bestScore) {
         bestKey = newKey;
-        bestScore = wordStats.percentage;
+        bestScore = quality.score;
         bestDecrypted = decrypted;
-        bestWordStats = wordStats;
+        bestWordStats = quality.wordStats;
+        bestQuality = quality;
         improved = true;
         lastImprovedIteration = iterations;
       }
     }
 
     // If we reach the target, break
-    if (bestScore >= targetPercentage) {
+    if (bestWordStats.percentage >= targetPercentage) {
       break;
     }
   }
@@ -361,42 +571,64 @@ const refineKey = (
     improved,
     iterations,
     wordStats: bestWordStats,
+    chiSquared: bestQuality.chiSquared,
+    compositeScore: bestQuality.compositeScore,
+    fitness: bestQuality.fitness,
+    score: bestScore,
     decrypted: bestDecrypted,
   };
 };
 
-// generate possible keys from shift options
-const generateKeys = (shiftOptions) => {
-  // Start with first letter options
-  let combinations = shiftOptions[0].map((shift) => [shift]);
+// most keys generateKeys returns
+const MAX_GENERATED_KEYS = 2000;
 
-  for (let i = 1; i < shiftOptions.length; i++) {
-    const newCombinations = [];
-    for (const combo of combinations) {
-      for (const shift of shiftOptions[i]) {
-        newCombinations.push([...combo, shift]);
-      }
-    }
-    combinations = newCombinations;
+// generate possible keys from shift options (each column's shifts, best first)
+// keys come in order of the sum of their shifts' ranks, so every position gets its
+// alternatives tried before any key uses two unlikely shifts
+const generateKeys = (
+  shiftOptions,
+  options = {},
+  maxKeys = MAX_GENERATED_KEYS
+) => {
+  const keys = [];
+  // highest rank sum the positions from i on can still take
+  const capacity = new Array(shiftOptions.length + 1).fill(0);
+  for (let i = shiftOptions.length - 1; i >= 0; i--) {
+    capacity[i] = capacity[i + 1] + Math.max(0, shiftOptions[i].length - 1);
+  }
 
-    // limit number of combinations to prevent overload
-    if (combinations.length > 5) {
-      combinations = combinations.slice(0, 1000);
+  // every rank combination whose ranks add up to remaining, position by position
+  const collect = (position, remaining, shifts) => {
+    if (position === shiftOptions.length) {
+      keys.push(shiftsToKey(shifts, options));
+      return;
     }
-  }
+    const column = shiftOptions[position];
+    for (let rank = 0; rank < column.length && rank <= remaining; rank++) {
+      if (keys.length >= maxKeys) return;
+      if (remaining - rank > capacity[position + 1]) continue;
+      shifts.push(column[rank]);
+      collect(position + 1, remaining - rank, shifts);
+      shifts.pop();
+    }
+  };
 
-  // convert shift arrays to key strings
-  return combinations.map((shifts) => shiftsToKey(shifts));
+  for (let total = 0; total <= capacity[0] && keys.length < maxKeys; total++) {
+    collect(0, total, []);
+  }
+  return keys;
 };
 
-// rate the quality of a key based on multiple factors
-const rateKeyQuality = (key, ciphertext, dictionary) => {
-  const decrypted = decryptWithKey(ciphertext, key);
+// score a decryption: word stats, chi-squared and the composite score are always
+// reported, score is the value of the selected fitness function (higher is better)
+const scoreDecryption = (decrypted, dictionary, options = {}) => {
+  const { fitness = "words", language } = options;
   const wordStats = countRecognizedWords(decrypted, dictionary);
 
   // get letter distribution of decrypted text
-  const frequencies = getFrequencies(decrypted);
-  const chiSquared = calculateChiSquared(frequencies);
+  const { tableau, frequencies: expectedFrequencies } = getCipher(options);
+  const frequencies = getFrequencies(decrypted, tableau.plain);
+  const chiSquared = calculateChiSquared(frequencies, expectedFrequencies);
 
   // calculate composite score
   const compositeScore =
@@ -404,12 +636,28 @@ const rateKeyQuality = (key, ciphertext, dictionary) => {
     wordStats.weightedScore * 15 -
     chiSquared * 0.2;
 
+  const score =
+    fitness === "words"
+      ? compositeScore
+      : ngramFitness(decrypted, fitness, language).score;
+
   return {
-    key,
-    decrypted,
     wordStats,
     chiSquared,
     compositeScore,
+    fitness,
+    score,
+  };
+};
+
+// rate the quality of a key based on multiple factors
+const rateKeyQuality = (key, ciphertext, dictionary, options = {}) => {
+  const decrypted = decryptWithKey(ciphertext, key, options);
+
+  return {
+    key,
+    decrypted,
+    ...scoreDecryption(decrypted, dictionary, options),
   };
 };
 
@@ -419,12 +667,23 @@ module.exports = {
   getFrequencies,
   calculateChiSquared,
   getSequences,
+  getCombinedSequences,
+  rankShifts,
   findBestShifts,
+  findBestAutokeyShifts,
   shiftsToKey,
   decryptWithKey,
+  encryptWithKey,
+  sampleText,
+  isValidKey,
   countRecognizedWords,
   refineKey,
   generateKeys,
   rateKeyQuality,
+  scoreDecryption,
+  isValidVariant,
+  getCipherOptionsError,
+  getCipher,
   ENGLISH_FREQUENCIES,
+  VARIANTS,
 };
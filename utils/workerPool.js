@@ -1,52 +1,176 @@
 // workerPool.js - Custom Worker Pool Implementation for Node.js
 const { Worker } = require("worker_threads");
 const path = require("path");
+const os = require("os");
+const { createTaskQueue } = require("./taskQueue");
+
+// running tasks are charged for their CPU time this often
+const METER_INTERVAL_MS = 1000;
 
 /**
  * Creates a pool of Worker threads
  * @param {string} workerPath - Path to the worker script
  * @param {number} size - Number of workers in the pool
+ * @param {Object} options - taskTimeout: default deadline of a task in ms (0 for none),
+ *                           maxQueueSize: most tasks waiting for a worker (0 for no limit),
+ *                           onTaskTime: called with (clientId, ms) for the CPU time
+ *                           running tasks use, as it is measured (see chargeTask),
+ *                           isOverBudget: (clientId) => whether the client's tasks
+ *                           are stopped and refused, checked as they are charged,
+ *                           cores: CPU cores the workers share
  * @returns {Object} - Pool interface with runTask method
  */
-exports.createWorkerPool = (workerPath, size) => {
+exports.createWorkerPool = (
+  workerPath,
+  size,
+  {
+    taskTimeout = 0,
+    maxQueueSize = 0,
+    onTaskTime,
+    isOverBudget = () => false,
+    cores = os.cpus().length,
+  } = {}
+) => {
   console.log(`Creating worker pool with ${size} workers at ${workerPath}`);
 
   // Array to hold our worker instances
   const workers = [];
-  // Queue for pending tasks
-  const taskQueue = [];
+  // Queue for pending tasks, by priority and fair between clients
+  const taskQueue = createTaskQueue({ maxSize: maxQueueSize });
   // Track which workers are busy
   const busyWorkers = new Set();
+  // Set once the pool is shut down, dead workers are no longer replaced
+  let terminated = false;
+  let restarts = 0;
+  // running average of how long a task takes, to tell rejected clients when to retry
+  let averageTaskTime = 0;
 
-  // Initialize workers
-  for (let i = 0; i < size; i++) {
+  // core time handed out per busy worker: with more busy workers than cores they
+  // take turns, each one gets cores / busy of the wall time
+  let shareClock = 0;
+  let shareUpdatedAt = Date.now();
+
+  const taskError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  };
+
+  const quotaError = () =>
+    taskError("QuotaExceededError", "The client's CPU quota is used up");
+
+  // call before the number of busy workers changes
+  function advanceShareClock() {
+    const now = Date.now();
+    const busy = busyWorkers.size;
+    if (busy > 0) {
+      shareClock += (now - shareUpdatedAt) * Math.min(1, cores / busy);
+    }
+    shareUpdatedAt = now;
+  }
+
+  // charge the task of a worker for the CPU time since it was last charged: its share
+  // of a core, while its event loop was busy (not waiting between steps)
+  function chargeTask(worker) {
+    const task = worker._task;
+    advanceShareClock();
+    const elu = worker.performance.eventLoopUtilization();
+    const { utilization } = worker.performance.eventLoopUtilization(
+      elu,
+      task.elu
+    );
+    const ms =
+      (shareClock - task.shareAt) * Math.min(1, Math.max(0, utilization || 0));
+    task.elu = elu;
+    task.shareAt = shareClock;
+    if (onTaskTime) onTaskTime(task.clientId, ms);
+  }
+
+  // Start a worker in the given slot and set up its handlers
+  function spawnWorker(i) {
     const worker = new Worker(workerPath);
-    workers.push(worker);
+    workers[i] = worker;
 
-    // Set up message and error handlers
+    // Set up message, error and exit handlers
     worker.on("message", createMessageHandler(worker, i));
     worker.on("error", (error) => {
       console.error(`Worker ${i} error:`, error);
-      // Mark worker as available despite error
-      busyWorkers.delete(worker);
-      processQueue();
+      replaceWorker(worker, i, error);
     });
+    worker.on("exit", (code) => {
+      // workers the pool stopped itself are already replaced
+      if (worker._retired) return;
+      console.error(`Worker ${i} exited with code ${code}`);
+      replaceWorker(
+        worker,
+        i,
+        taskError("WorkerExitError", `Worker exited with code ${code}`)
+      );
+    });
+  }
+
+  // Initialize workers
+  for (let i = 0; i < size; i++) {
+    spawnWorker(i);
+  }
+
+  // Settle the task running on a worker and free the worker
+  // (a stopped worker has no event loop left to measure, it was charged before)
+  function finishTask(worker, error, result) {
+    const task = worker._task;
+    if (task && !worker._retired) chargeTask(worker);
+    advanceShareClock();
+    worker._task = null;
+    busyWorkers.delete(worker);
+    if (!task) return;
+
+    clearTimeout(task.timer);
+    const duration = Date.now() - task.startedAt;
+    averageTaskTime = averageTaskTime
+      ? averageTaskTime * 0.8 + duration * 0.2
+      : duration;
+    if (error) task.reject(error);
+    else task.resolve(result);
+  }
+
+  // Stop a worker, fail its task and start a fresh worker in its slot
+  function replaceWorker(worker, id, error) {
+    if (worker._retired) return;
+    if (worker._task) chargeTask(worker);
+    worker._retired = true;
+    worker.terminate();
+
+    finishTask(worker, error);
+    if (terminated) return;
+
+    restarts++;
+    spawnWorker(id);
+    processQueue();
   }
 
   // Creates a message handler for a specific worker
   function createMessageHandler(worker, id) {
-    return function (result) {
-      console.log(`Worker ${id} completed task`);
+    return function (message) {
+      // a worker replaced after a cancellation may still answer, ignore it
+      if (workers[id] !== worker) return;
 
-      // Resolve the promise associated with this worker
-      if (worker._resolve) {
-        worker._resolve(result);
-        worker._resolve = null;
-        worker._reject = null;
+      // progress messages go to the task's listener, the task keeps running
+      if (message.type === "progress") {
+        if (worker._task && worker._task.onProgress) {
+          worker._task.onProgress(message.progress);
+        }
+        return;
       }
 
-      // Mark worker as available
-      busyWorkers.delete(worker);
+      console.log(`Worker ${id} completed task`);
+
+      // errors thrown inside the worker come back as { error: true, message }
+      const { result } = message;
+      if (result && result.error === true) {
+        finishTask(worker, taskError("WorkerTaskError", result.message));
+      } else {
+        finishTask(worker, null, result);
+      }
 
       // Process next task in queue if any
       processQueue();
@@ -54,76 +178,211 @@ exports.createWorkerPool = (workerPath, size) => {
   }
 
   // Process the next task in queue if a worker is available
+  // tasks of clients whose budget ran out while they waited are refused
   function processQueue() {
-    if (taskQueue.length === 0) return;
+    const worker = workers.find((candidate) => !busyWorkers.has(candidate));
+    if (!worker) return;
 
-    // Find an available worker
-    for (const worker of workers) {
-      if (!busyWorkers.has(worker)) {
-        const nextTask = taskQueue.shift();
-        executeOnWorker(
-          worker,
-          nextTask.data,
-          nextTask.resolve,
-          nextTask.reject
-        );
-        break;
+    while (taskQueue.length > 0) {
+      const task = taskQueue.shift();
+      if (isOverBudget(task.clientId)) {
+        task.reject(quotaError());
+        continue;
       }
+      executeOnWorker(worker, task);
+      break;
     }
   }
 
   // Execute a task on a specific worker
-  function executeOnWorker(worker, data, resolve, reject) {
+  function executeOnWorker(worker, task) {
+    advanceShareClock();
     busyWorkers.add(worker);
+    worker._task = task;
+    task.startedAt = Date.now();
+    task.elu = worker.performance.eventLoopUtilization();
+    task.shareAt = shareClock;
 
-    // Store resolve/reject callbacks with the worker
-    worker._resolve = resolve;
-    worker._reject = reject;
+    // the deadline counts from when a worker picks the task up, not from queueing
+    if (task.timeout > 0) {
+      task.timer = setTimeout(() => {
+        console.error(`Task timed out after ${task.timeout}ms`);
+        replaceWorker(
+          worker,
+          workers.indexOf(worker),
+          taskError(
+            "TimeoutError",
+            `Task timed out after ${task.timeout / 1000} seconds`
+          )
+        );
+      }, task.timeout);
+    }
 
     // Send the task to the worker
-    worker.postMessage(data);
+    worker.postMessage(task.data);
     console.log("Task sent to worker");
+    if (task.onStart) task.onStart();
+  }
+
+  // Cancel a task: drop it from the queue, or stop the worker running it
+  // a worker can't be interrupted mid task, so it is terminated and replaced
+  function cancelTask(task) {
+    const error = taskError("AbortError", "Task cancelled");
+
+    if (taskQueue.remove(task)) {
+      task.reject(error);
+      return;
+    }
+
+    const index = workers.findIndex((worker) => worker._task === task);
+    if (index === -1) return;
+
+    console.log(`Worker ${index} terminated, task cancelled`);
+    replaceWorker(workers[index], index, error);
   }
 
   // Main method to run a task
-  const runTask = (data) => {
+  // options.signal cancels the task, options.onStart is called when a worker picks it up,
+  // options.onProgress receives the progress messages the worker posts
+  // options.timeout overrides the pool's task deadline (ms)
+  // and options.priority / options.clientId place the task in the queue
+  const runTask = (
+    data,
+    {
+      signal,
+      onStart,
+      onProgress,
+      timeout = taskTimeout,
+      priority = "normal",
+      clientId = "anonymous",
+    } = {}
+  ) => {
     return new Promise((resolve, reject) => {
       console.log("Submitting task to worker pool");
 
+      if (terminated) {
+        return reject(taskError("Error", "Worker pool is terminated"));
+      }
+
+      if (signal && signal.aborted) {
+        return reject(taskError("AbortError", "Task cancelled"));
+      }
+
+      if (isOverBudget(clientId)) return reject(quotaError());
+
+      const task = {
+        data,
+        resolve,
+        reject,
+        onStart,
+        onProgress,
+        timeout,
+        clientId,
+      };
+
       // Find an available worker or queue the task
       const availableWorker = workers.find(
         (worker) => !busyWorkers.has(worker)
       );
 
+      if (!availableWorker && taskQueue.isFull()) {
+        const error = taskError("QueueFullError", "Task queue is full");
+        error.retryAfter = retryAfter();
+        return reject(error);
+      }
+
+      if (signal) {
+        signal.addEventListener("abort", () => cancelTask(task), {
+          once: true,
+        });
+      }
+
       if (availableWorker) {
-        executeOnWorker(availableWorker, data, resolve, reject);
+        executeOnWorker(availableWorker, task);
       } else {
         // Queue the task if all workers are busy
-        taskQueue.push({ data, resolve, reject });
+        taskQueue.push(task, { priority, clientId });
         console.log("All workers busy, task queued");
       }
     });
   };
 
+  // running tasks are charged as they go, the tasks of a client whose budget is
+  // used up are stopped
+  const meterTimer = setInterval(() => {
+    for (const worker of [...busyWorkers]) {
+      if (!worker._task) continue;
+      chargeTask(worker);
+      if (isOverBudget(worker._task.clientId)) {
+        console.log("Worker task stopped, CPU quota used up");
+        replaceWorker(worker, workers.indexOf(worker), quotaError());
+      }
+    }
+  }, METER_INTERVAL_MS);
+  meterTimer.unref();
+
+  // Seconds until a worker is likely free for one more queued task
+  const retryAfter = () => {
+    const waves = Math.ceil((taskQueue.length + 1) / size);
+    return Math.max(1, Math.ceil((waves * (averageTaskTime || 30000)) / 1000));
+  };
+
+  // Whether count more tasks would start or fit in the queue right now
+  const hasCapacity = (count = 1) => {
+    const idle = size - busyWorkers.size;
+    return (
+      maxQueueSize === 0 || count <= idle + maxQueueSize - taskQueue.length
+    );
+  };
+
+  // Send a message to every worker, busy ones read it once their task is done
+  const broadcast = (message) => {
+    for (const worker of workers) {
+      worker.postMessage(message);
+    }
+  };
+
   // Method to terminate all workers in the pool
   const terminate = () => {
     console.log("Terminating worker pool");
+    terminated = true;
+    clearInterval(meterTimer);
+    const error = taskError("Error", "Worker pool is terminated");
     for (const worker of workers) {
+      worker._retired = true;
       worker.terminate();
+      finishTask(worker, error);
+    }
+    for (const task of taskQueue.clear()) {
+      task.reject(error);
     }
   };
 
   return {
     runTask,
+    broadcast,
     terminate,
+    hasCapacity,
+    retryAfter,
     get size() {
       return size;
     },
     get pending() {
       return taskQueue.length;
     },
+    // waiting tasks per priority and the queue limit
+    get queue() {
+      return { ...taskQueue.depths(), max: maxQueueSize };
+    },
     get active() {
       return busyWorkers.size;
     },
+    // workers free to pick up a task right now
+    get idle() {
+      return taskQueue.length > 0 ? 0 : size - busyWorkers.size;
+    },
+    get restarts() {
+      return restarts;
+    },
   };
 };
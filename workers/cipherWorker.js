@@ -0,0 +1,46 @@
+const { parentPort } = require("worker_threads");
+const { getCipherPlugin } = require("../ciphers");
+const { reloadDatasets } = require("../utils/datasets");
+
+// Setup message handler for worker_threads
+// messages to the pool are typed: "progress" while working, "result" once at the end
+parentPort.on("message", async (task) => {
+  // the pool asks for a reload when the dictionaries or known keys change on disk
+  if (task.type === "reload") {
+    reloadDatasets();
+    console.log("[WORKER] Datasets reloaded");
+    return;
+  }
+
+  console.log("[WORKER] Received task:", task.ciphertext);
+
+  try {
+    const result = await crackTask(task);
+    parentPort.postMessage({ type: "result", result });
+    console.log("[WORKER] Task completed and sent");
+  } catch (error) {
+    console.error("[WORKER ERROR]", error.stack || error);
+    parentPort.postMessage({
+      type: "result",
+      result: {
+        error: true,
+        message: error.message,
+      },
+    });
+  }
+});
+
+// send the best guess so far to the pool (stage, keyLength, iteration, bestKey, score)
+function reportProgress(progress) {
+  parentPort.postMessage({ type: "progress", progress });
+}
+
+// tasks name the cipher they crack, the registry has the plugin that does it
+async function crackTask(task) {
+  const { cipher = "vigenere" } = task;
+  const plugin = getCipherPlugin(cipher);
+  if (!plugin || !plugin.crack) {
+    throw new Error(`No crack available for cipher ${cipher}`);
+  }
+  return plugin.crack(task, { reportProgress });
+}